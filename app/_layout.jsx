@@ -1,8 +1,18 @@
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import { Tabs } from 'expo-router';
+import { useEffect } from 'react';
+import { GestureHandlerRootView } from 'react-native-gesture-handler';
+import { startGallerySync } from '../modules/gallerySync';
+import { startUploadQueue } from '../modules/uploadQueue';
 
 export default function Layout() {
+  // Resume any uploads left from a previous session
+  useEffect(() => startUploadQueue(), []);
+  // Keep the gallery in sync with the backend
+  useEffect(() => startGallerySync(), []);
+
   return (
+    <GestureHandlerRootView style={{ flex: 1 }}>
     <Tabs>
       <Tabs.Screen
         name="index"
@@ -40,6 +50,24 @@ export default function Layout() {
           ),
         }}
       />
+      {/* Full-screen photo viewer, opened from the gallery */}
+      <Tabs.Screen
+        name="viewer"
+        options={{
+          href: null,
+          headerShown: false,
+          tabBarStyle: { display: 'none' },
+        }}
+      />
+      {/* Deleted photos, opened from the gallery menu */}
+      <Tabs.Screen
+        name="trash"
+        options={{
+          href: null,
+          headerShown: false,
+        }}
+      />
     </Tabs>
+    </GestureHandlerRootView>
   );
 }
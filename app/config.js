@@ -1,2 +1,22 @@
 export const BASE_URL = "https://mullet-deep-explicitly.ngrok-free.app"
-export const GALLERY_STORAGE_KEY = "CapturedPhotolist"
\ No newline at end of file
+export const GALLERY_STORAGE_KEY = "CapturedPhotolist"
+// Must match the backend's API_KEY (leave empty if the backend has none)
+export const API_KEY = ""
+export const AUTH_STORAGE_KEY = "AuthToken"
+export const DEVICE_ID_STORAGE_KEY = "DeviceId"
+export const DEVICE_SECRET_STORAGE_KEY = "DeviceSecret"
+export const UPLOAD_QUEUE_STORAGE_KEY = "UploadQueue"
+// Devices with the same team share their uploads (leave empty to keep them private)
+export const TEAM = ""
+// Must be the same on every device of the TEAM (at least 8 characters): the first device to join sets it
+export const TEAM_KEY = ""
+export const SYNC_STORAGE_KEY = "GallerySync"
+export const GALLERY_COLUMNS_STORAGE_KEY = "GalleryColumns"
+export const TRASH_STORAGE_KEY = "Trash"
+// Days a deleted photo stays in the trash before it is deleted for good
+export const TRASH_RETENTION_DAYS = 30
+// MediaLibrary album captures are saved to
+export const APP_ALBUM_NAME = "MobileDev-Exam2"
+export const ALBUM_IGNORED_STORAGE_KEY = "AlbumIgnored"
+export const ALBUMS_STORAGE_KEY = "Albums"
+export const CAMERA_SETTINGS_STORAGE_KEY = "CameraSettings"
\ No newline at end of file
@@ -1,11 +1,25 @@
+import { MaterialCommunityIcons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useIsFocused } from '@react-navigation/native';
+import { Image } from 'expo-image';
 import * as MediaLibrary from 'expo-media-library';
 import { useRouter } from "expo-router";
-import { useEffect, useRef, useState } from "react";
-import { Alert, Image, Pressable, ScrollView, StyleSheet, ToastAndroid, View, useWindowDimensions } from "react-native";
-import { Button, IconButton, Menu, PaperProvider, Text } from 'react-native-paper';
-import { GALLERY_STORAGE_KEY } from "./config";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Alert, Pressable, SectionList, StyleSheet, ToastAndroid, View, useWindowDimensions } from "react-native";
+import { FlatList, Gesture, GestureDetector, ScrollView } from 'react-native-gesture-handler';
+import { Button, Chip, Dialog, IconButton, Menu, PaperProvider, Portal, Snackbar, Text, TextInput } from 'react-native-paper';
+import { runOnJS } from 'react-native-reanimated';
+import { getDeviceId } from '../modules/api';
+import formatDuration from '../modules/formatDuration';
+import { addToAlbum, canChange, createAlbum, deleteAlbum, removeFromAlbum, syncAlbums, tagPhotos, untagPhotos, useAlbums } from '../modules/albums';
+import { useGallery } from '../modules/galleryRepository';
+import { exportPhotos, importArchive, sharePhoto } from '../modules/galleryExport';
+import { mergeRemotePhotos, syncGallery, useRemotePhotos } from '../modules/gallerySync';
+import { COLOR_CLASSES, analyzeMissingColors } from '../modules/photoColors';
+import { adoptPhotos, ignorePhotos, reconcileGallery } from '../modules/reconcile';
+import { purgeExpiredTrash, restorePhotos, trashPhotos, useTrash } from '../modules/trash';
+import { UPLOAD_STATUS, enqueueUploads, useUploadStates } from '../modules/uploadQueue';
+import { APP_ALBUM_NAME, GALLERY_COLUMNS_STORAGE_KEY } from "./config";
 
 const DEBUG = true;
 
@@ -15,6 +29,42 @@ const MODES = {
 	SELECT: 2 // Select (multiple) images -- i.e. for deletion
 }
 
+// Grid column limits, changed by pinching
+const MIN_COLUMNS = 2;
+const MAX_COLUMNS = 6;
+// How far a pinch must go to change the column count
+const PINCH_THRESHOLD = 0.25;
+
+// Assets whose info is loaded at the same time
+const ASSET_BATCH_SIZE = 24;
+
+// Swatch shown on each color filter chip
+const COLOR_SWATCHES = {
+	RED: "#E53935",
+	ORANGE: "#FB8C00",
+	YELLOW: "#FDD835",
+	GREEN: "#43A047",
+	CYAN: "#00ACC1",
+	BLUE: "#1E88E5",
+	PURPLE: "#8E24AA",
+	WHITE: "#FFFFFF",
+	GRAY: "#9E9E9E",
+	BLACK: "#212121",
+};
+// Section for photos whose colors aren't known yet
+const UNSORTED = "UNSORTED";
+
+// Thumbnail badge for each kind of sequence
+const SEQUENCE_ICONS = { burst: "camera-burst", interval: "timelapse" };
+
+// Thumbnail badge for each upload state
+const UPLOAD_ICONS = {
+	[UPLOAD_STATUS.QUEUED]: { icon: "cloud-upload-outline", color: "white" },
+	[UPLOAD_STATUS.UPLOADING]: { icon: "cloud-sync-outline", color: "#4FC3F7" },
+	[UPLOAD_STATUS.UPLOADED]: { icon: "cloud-check", color: "#81C784" },
+	[UPLOAD_STATUS.FAILED]: { icon: "cloud-alert", color: "#E57373" },
+};
+
 export default function Gallery() {//({ media=[], columns, deletePhotos, onExit }) => {
 	// Page router
 	const router = useRouter();
@@ -22,6 +72,8 @@ export default function Gallery() {//({ media=[], columns, deletePhotos, onExit
 	// Reference Variables
 	const scrollRef = useRef(null);
 	const scrollY = useRef(0);
+	const reconciling = useRef(false);
+	const requestedAssets = useRef(new Set()); // Asset IDs loaded or loading
 	
 	// Functional mode
 	const [mode, setMode] = useState(MODES.PREVIEW);
@@ -30,8 +82,142 @@ export default function Gallery() {//({ media=[], columns, deletePhotos, onExit
 	// Gallery Display
 	const isFocused = useIsFocused(); // Detect if this screen is in focus
 	const [numColumns, setNumColumns] = useState(4);
-	const [rows, setRows] = useState([]);
-	const [photos, setPhotos] = useState([]);
+	const records = useGallery();
+	// Loaded media assets by ID
+	const [assets, setAssets] = useState({});
+	// The gallery's photos, in record order, once their assets are loaded
+	const photos = useMemo(
+		() => records.map(record => assets[record.assetId]).filter(Boolean),
+		[records, assets]
+	);
+	const uploads = useUploadStates();
+	const remotePhotos = useRemotePhotos();
+	const trash = useTrash();
+	// The photos last moved to the trash, and whether their undo snackbar shows
+	const [lastTrashed, setLastTrashed] = useState([]);
+	const [showUndo, setShowUndo] = useState(false);
+
+	// Albums, and the album or tag filter: { album } or { tag } (null shows everything)
+	const albums = useAlbums();
+	const [collectionFilter, setCollectionFilter] = useState(null);
+	// The open album or tag dialog, and its text field
+	const [dialog, setDialog] = useState(null);
+	const [dialogText, setDialogText] = useState("");
+
+	// Color filter: only show photos containing this color class (null shows everything)
+	const [colorFilter, setColorFilter] = useState(null);
+	// Show the photos in sections by dominant color
+	const [groupByColor, setGroupByColor] = useState(false);
+
+	// Color classes of each photo, most common first
+	// (local photos from their record, synced photos from the backend's analysis)
+	const photoColors = useMemo(() => {
+		const colors = {};
+		records.forEach(record => { if (record.color) colors[record.assetId] = record.color.colors; });
+		remotePhotos.forEach(photo => { colors[photo.id] = photo.colors; });
+		return colors;
+	}, [records, remotePhotos]);
+
+	// Local photos, plus those synced from the backend, minus the trash
+	const allPhotos = useMemo(
+		() => mergeRemotePhotos(photos, remotePhotos).filter(photo => !trash[photo.id]),
+		[photos, remotePhotos, trash]
+	);
+
+	// Tags of each photo (local photos from their record, synced photos from the backend)
+	const photoTags = useMemo(() => {
+		const tags = {};
+		records.forEach(record => { tags[record.assetId] = record.tags || []; });
+		remotePhotos.forEach(photo => { tags[photo.id] = photo.tags; });
+		return tags;
+	}, [records, remotePhotos]);
+
+	// Every tag in use, alphabetically
+	const allTags = useMemo(
+		() => [...new Set(allPhotos.flatMap(photo => photoTags[photo.id] || []))].sort((a, b) => a.localeCompare(b)),
+		[allPhotos, photoTags]
+	);
+
+	// The album or tag filter in effect; ignored once its album or tag is gone
+	const activeAlbum = albums.find(album => album.id === collectionFilter?.album) || null;
+	const activeTag = collectionFilter?.tag && allTags.includes(collectionFilter.tag) ? collectionFilter.tag : null;
+
+	// The photos in the chosen album or with the chosen tag
+	const collectionPhotos = useMemo(() => {
+		if (activeAlbum) return allPhotos.filter(photo => activeAlbum.photoIds.includes(photo.id));
+		if (activeTag) return allPhotos.filter(photo => (photoTags[photo.id] || []).includes(activeTag));
+		return allPhotos;
+	}, [allPhotos, activeAlbum, activeTag, photoTags]);
+
+	// Number of photos containing each color class
+	const colorCounts = useMemo(() => {
+		const counts = {};
+		collectionPhotos.forEach(photo => (photoColors[photo.id] || []).forEach(color => { counts[color] = (counts[color] || 0) + 1; }));
+		return counts;
+	}, [collectionPhotos, photoColors]);
+
+	// The filter in effect; ignored once no photos have its color
+	const activeColor = colorFilter && colorCounts[colorFilter] ? colorFilter : null;
+
+	// The photos shown, after the album, tag and color filters
+	const galleryPhotos = useMemo(
+		() => activeColor ? collectionPhotos.filter(photo => (photoColors[photo.id] || []).includes(activeColor)) : collectionPhotos,
+		[collectionPhotos, photoColors, activeColor]
+	);
+
+	// Grid cells: one per photo, except burst and interval runs, which share one
+	// Tile: { key, photo, photoIds, sequence }
+	// 		photo: the cover, the run's newest shot
+	// 		photoIds: every photo in the tile, in shot order
+	const galleryTiles = useMemo(() => {
+		const sequences = {};
+		records.forEach(record => { if (record.sequence) sequences[record.assetId] = record.sequence; });
+
+		const tiles = [];
+		const runs = {};
+		galleryPhotos.forEach(photo => {
+			const sequence = sequences[photo.id];
+			if (!sequence) {
+				tiles.push({ key: photo.id, photo, photoIds: [photo.id], sequence: null });
+				return;
+			}
+
+			if (!runs[sequence.id]) {
+				runs[sequence.id] = { key: sequence.id, photo, photoIds: [], sequence, shots: [] };
+				tiles.push(runs[sequence.id]);
+			}
+			runs[sequence.id].shots.push({ id: photo.id, index: sequence.index });
+		});
+
+		Object.values(runs).forEach(run => {
+			run.photoIds = run.shots.sort((a, b) => a.index - b.index).map(shot => shot.id);
+			delete run.shots;
+		});
+		return tiles;
+	}, [records, galleryPhotos]);
+
+	// Sections of thumbnail rows, one per dominant color (of each tile's cover)
+	const colorSections = useMemo(() => {
+		if (!groupByColor) return [];
+
+		const groups = {};
+		galleryTiles.forEach(tile => {
+			const dominant = (photoColors[tile.photo.id] || [])[0] || UNSORTED;
+			(groups[dominant] = groups[dominant] || []).push(tile);
+		});
+
+		return [...COLOR_CLASSES, UNSORTED]
+			.filter(color => groups[color])
+			.map(color => {
+				// Group media into rows, as SectionList has no columns
+				const rows = [];
+				for (let i = 0; i < groups[color].length; i += numColumns) {
+					rows.push(groups[color].slice(i, i + numColumns));
+				}
+				const count = groups[color].reduce((total, tile) => total + tile.photoIds.length, 0);
+				return { title: color, count, data: rows };
+			});
+	}, [groupByColor, galleryTiles, photoColors, numColumns]);
 	
 	// Menu Display
     const [visible, setVisible] = useState(false);
@@ -49,107 +235,154 @@ export default function Gallery() {//({ media=[], columns, deletePhotos, onExit
 	const totalGaps = (numColumns - 1) * itemGap;
 	const thumbnailSize = (width - containerPadding - totalGaps) / numColumns;
 	
+	// Load the media assets of records not loaded yet, a batch at a time,
+	// showing each batch as soon as it is loaded
 	const loadPhotos = async () => {
-		// Retreive all photos taken with the app
-		const allIds = JSON.parse(await AsyncStorage.getItem(GALLERY_STORAGE_KEY));
-
-		// There are no photos
-		if (!allIds) return;
-			
-		console.log("Photos: ");
-		console.log(photos.length);
+		const newIds = records
+			.map(record => record.assetId)
+			.filter(assetId => !requestedAssets.current.has(assetId));
 
-		console.log("All-Original: ");
-		console.log(allIds.length);
+		console.log("New Photos: " + newIds.length);
 
-		// Determine which assets have already been loaded
-		const ignoreAssets = photos.map(asset => asset.id);
+		// There is nothing to update
+		if (newIds.length === 0) return;
 
-		// Update the list of assets to load, excluding ignored assets
-		const newPhotos = allIds.filter(assetId => !ignoreAssets.includes(assetId))
+		newIds.forEach(assetId => requestedAssets.current.add(assetId));
 
-		console.log("New Photos:")
-		console.log(newPhotos.length);
+		for (let i = 0; i < newIds.length; i += ASSET_BATCH_SIZE) {
+			const batchIds = newIds.slice(i, i + ASSET_BATCH_SIZE);
+			const loaded = await Promise.all(batchIds.map(assetId => MediaLibrary.getAssetInfoAsync(assetId).catch(() => null)));
 
-		// There is nothing to update
-		if (newPhotos.length === 0) return;
+			// Missing assets are pruned by reconcile(); allow another try if they come back
+			batchIds.forEach((assetId, index) => { if (!loaded[index]) requestedAssets.current.delete(assetId); });
+			const batch = loaded.filter(Boolean);
 
-		// Retreive the media asset for each photo
-		for (let i = 0; i < newPhotos.length; i ++) {
-			const assetId = newPhotos[i];
-			const asset = await MediaLibrary.getAssetInfoAsync(assetId);
-			newPhotos[i] = asset;
+			setAssets(prev => ({ ...prev, ...Object.fromEntries(batch.map(asset => [asset.id, asset])) }));
 		}
+	}
 
-		// Merge the new and existing photos
-		const allPhotos = [...newPhotos, ...photos];
-
-		// Update the stored photos list
-		// Do this last so, if something goes wrong
-		// And it isn't updated, no images are missed
-		setPhotos(allPhotos);
+	// Change the number of grid columns, and remember it
+	const changeColumns = (change) => {
+		setNumColumns(prev => {
+			const columns = Math.min(MAX_COLUMNS, Math.max(MIN_COLUMNS, prev + change));
+			if (columns !== prev) AsyncStorage.setItem(GALLERY_COLUMNS_STORAGE_KEY, String(columns));
+			return columns;
+		});
 	}
 
-	// Generate the image-row lists
-	const loadRows = () => {
-		// Group media into rows
-		const allRows = [];
-		for (let i = 0; i < photos.length; i += numColumns) {
-			// Get the row of photo Assets
-			// Add the row to the display
-			allRows.push(photos.slice(i, i + numColumns));
-		}
+	// Pinch out for bigger thumbnails (fewer columns), pinch in for more
+	const pinchColumns = Gesture.Pinch()
+		.onEnd(event => {
+			if (event.scale > 1 + PINCH_THRESHOLD) runOnJS(changeColumns)(-1);
+			else if (event.scale < 1 - PINCH_THRESHOLD) runOnJS(changeColumns)(1);
+		});
 
-		// Apply the updated rows
-		setRows(allRows);
+	// Fix the stored photo list
+	// Prunes photos deleted outside the app, and offers to adopt lost photos from the app's album
+	const reconcile = async () => {
+		// Don't stack prompts if the screen is refocused mid-check
+		if (reconciling.current) return;
+		reconciling.current = true;
+
+		try {
+			const { pruned, untracked } = await reconcileGallery();
+
+			if (pruned.length > 0) {
+				ToastAndroid.showWithGravity("Removed " + pruned.length + " photos deleted outside the app.", 1000, ToastAndroid.TOP);
+			}
+
+			if (untracked.length > 0) {
+				Alert.alert(
+					'Photos Found',
+					`${untracked.length} photo${untracked.length === 1 ? " is" : "s are"} in the ${APP_ALBUM_NAME} album but not in the gallery. Add them?`,
+					[
+						{ text: 'Ignore', style: 'cancel', onPress: () => ignorePhotos(untracked) },
+						{
+							text: 'Add',
+							onPress: async () => {
+								await adoptPhotos(untracked);
+								ToastAndroid.showWithGravity("Added " + untracked.length + " photos.", 1000, ToastAndroid.TOP);
+							}
+						}
+					]
+				);
+			}
+		} catch (e) {
+			console.error(e);
+		} finally {
+			reconciling.current = false;
+		}
 	}
 
 	// Reload the gallery each time the screen is refocused
 	useEffect(() => {
-		if (isFocused) loadPhotos();
+		if (isFocused) {
+			reconcile();
+			syncGallery();
+			syncAlbums();
+			purgeExpiredTrash();
+		}
 	}, [isFocused]);
 
-	// Regenerate the rows every time 'photos' is changed
+	// Load new photos whenever the records change, i.e. after a capture or adoption
+	// (removed records drop out of 'photos' on their own)
 	useEffect(() => {
-		loadRows();
-	}, [photos]);
+		loadPhotos();
+		// Find the colors of photos that were never analyzed (runs once at a time)
+		analyzeMissingColors();
+	}, [records]);
 
-	// New function to handle removing a single photo
-	const deletePhotos = async (...assetIds) => {
+	// Restore the column count chosen last session
+	useEffect(() => {
+		AsyncStorage.getItem(GALLERY_COLUMNS_STORAGE_KEY).then(saved => {
+			const columns = Number(saved);
+			if (columns >= MIN_COLUMNS && columns <= MAX_COLUMNS) setNumColumns(columns);
+		});
+	}, []);
+
+	// Move photos to the trash, offering to undo it
+	const deletePhotos = async (...photoIds) => {
 		// Do nothing if nothing to delete
-		if (assetIds.length === 0) return;
+		if (photoIds.length === 0) return;
 
-		console.log("Deleting " + assetIds.length + " assets");
-		
-		// Filter all photos not from 'assets'
-		const updatedPhotos = photos.filter(photo => !assetIds.includes(photo.id));
+		// Only the owner of a synced photo can delete it from the backend, so teammates' photos stay
+		const deviceId = await getDeviceId();
+		const photos = galleryPhotos.filter(photo => photoIds.includes(photo.id));
+		const refused = photos.filter(photo => photo.remote && photo.owner !== deviceId);
+		const trashed = photos.filter(photo => !refused.includes(photo));
 
-		// Update the photos list
-		setPhotos(updatedPhotos);
-		
-		// Delete all passed assets from the filesystem
-		await MediaLibrary.deleteAssetsAsync(assetIds);
+		if (refused.length > 0) {
+			ToastAndroid.showWithGravity("Only their owners can delete " + refused.length + " teammates' photos; skipped.", 1000, ToastAndroid.TOP);
+		}
+		if (trashed.length === 0) return;
 
-		// Get the stored list of saved asset IDs
-		let allPhotos = JSON.parse(await AsyncStorage.getItem(GALLERY_STORAGE_KEY));
+		console.log("Trashing " + trashed.length + " assets");
 
-		// Keep only photos whose asset ID does not match
-		allPhotos = allPhotos.filter(photoId => !assetIds.includes(photoId));
+		await trashPhotos(trashed);
 
-		// Update the saved photo list
-		await AsyncStorage.setItem(GALLERY_STORAGE_KEY, JSON.stringify(allPhotos));
-		
-		ToastAndroid.showWithGravity("Deleted " + assetIds.length + " assets.", 1000, ToastAndroid.TOP);
+		// Show the undo snackbar
+		setLastTrashed(trashed.map(photo => photo.id));
+		setShowUndo(true);
 	};
 
-	// Handle clearing all photos
+	// Take the last trashed photos back out of the trash
+	const undoDelete = async () => {
+		setShowUndo(false);
+		await restorePhotos(lastTrashed);
+	};
+
+	// Handle clearing all photos shown, i.e. only those in the chosen album, tag or color
 	const clearPhotos = () => {
 		// Do nothing if nothing to delete
-		if (photos.length === 0) return;
+		if (galleryPhotos.length === 0) return;
 
+		const filtered = galleryPhotos.length < allPhotos.length;
 		Alert.alert(
 			'Clear All Photos',
-			'Are you sure you want to clear all photos from this view?',
+			(filtered
+				? 'Move the ' + galleryPhotos.length + ' photos shown to the trash? Photos the filter hides are kept.'
+				: 'Move all photos to the trash?')
+				+ ' They can be restored from the Trash for a while.',
 			[
 				{ text: 'Cancel', style: 'cancel' },
 				{ 
@@ -157,13 +390,248 @@ export default function Gallery() {//({ media=[], columns, deletePhotos, onExit
 					style: 'destructive', 
 					onPress: () => {
 						// Call removeItem for each photo
-						deletePhotos(...photos.map(asset => asset.id));
+						deletePhotos(...galleryPhotos.map(asset => asset.id));
 					}
 				}
 			]
 		);
 	};
 
+	// Queue photos for upload to the backend
+	const uploadPhotos = async (...assetIds) => {
+		// Synced photos are already on the backend
+		assetIds = assetIds.filter(assetId => !remotePhotos.some(photo => photo.id === assetId));
+
+		// The backend only stores images; videos stay on the device
+		const videoCount = assetIds.filter(assetId => assets[assetId]?.mediaType === MediaLibrary.MediaType.video).length;
+		assetIds = assetIds.filter(assetId => assets[assetId]?.mediaType !== MediaLibrary.MediaType.video);
+
+		if (videoCount > 0) {
+			ToastAndroid.showWithGravity("Videos can't be saved to the DB; skipped " + videoCount + ".", 1000, ToastAndroid.TOP);
+		}
+
+		// Do nothing if nothing to upload
+		if (assetIds.length === 0) return;
+
+		const queued = await enqueueUploads(assetIds);
+
+		ToastAndroid.showWithGravity(
+			queued > 0 ? "Uploading " + queued + " photos." : "Already uploaded.",
+			1000,
+			ToastAndroid.TOP
+		);
+	};
+
+	// Open the share sheet for one photo
+	const sharePhotos = async (photoId) => {
+		const photo = galleryPhotos.find(photo => photo.id === photoId);
+		if (!photo) return;
+
+		try {
+			await sharePhoto(photo);
+		} catch (error) {
+			ToastAndroid.showWithGravity("Could not share: " + error.message, 2000, ToastAndroid.TOP);
+		}
+	};
+
+	// Export photos to a ZIP and share it
+	const exportSelected = async (...photoIds) => {
+		// Do nothing if nothing to export
+		if (photoIds.length === 0) return;
+
+		ToastAndroid.showWithGravity("Exporting " + photoIds.length + " photos...", 1000, ToastAndroid.TOP);
+		try {
+			await exportPhotos(galleryPhotos.filter(photo => photoIds.includes(photo.id)));
+		} catch (error) {
+			ToastAndroid.showWithGravity("Export failed: " + error.message, 2000, ToastAndroid.TOP);
+		}
+	};
+
+	// Add the photos of an exported ZIP to the gallery
+	const importPhotos = async () => {
+		try {
+			const result = await importArchive();
+			// Cancelled
+			if (!result) return;
+
+			ToastAndroid.showWithGravity(
+				"Imported " + result.imported + " photos." + (result.skipped > 0 ? " Skipped " + result.skipped + " already in the gallery." : ""),
+				2000,
+				ToastAndroid.TOP
+			);
+		} catch (error) {
+			ToastAndroid.showWithGravity("Import failed: " + error.message, 2000, ToastAndroid.TOP);
+		}
+	};
+
+	// Open the album or tag dialog for the selection
+	const openDialog = (type) => {
+		setDialogText("");
+		setDialog(type);
+		// Close the menu
+		setVisible(false);
+	};
+
+	// Leave select mode once the dialog's action is done
+	const finishDialog = () => {
+		setDialog(null);
+		setMode(MODES.PREVIEW);
+		setSelected([]);
+	};
+
+	// Put the selection in an album, creating it if a name was typed
+	const addSelectedToAlbum = async (albumId) => {
+		if (albumId) {
+			await addToAlbum(albumId, selected);
+		} else {
+			const name = dialogText.trim();
+			if (name.length === 0) return;
+
+			if (albums.some(album => album.name === name)) {
+				ToastAndroid.showWithGravity("There already is an album named " + name, 1000, ToastAndroid.TOP);
+				return;
+			}
+			await createAlbum(name, selected);
+		}
+		finishDialog();
+	};
+
+	// Add the typed, comma-separated tags to the selection
+	const tagSelected = async () => {
+		const tags = dialogText.split(',');
+		const failed = await tagPhotos(galleryPhotos.filter(photo => selected.includes(photo.id)), tags);
+		if (failed > 0) ToastAndroid.showWithGravity("Could not share the tags of " + failed + " photos.", 2000, ToastAndroid.TOP);
+		finishDialog();
+	};
+
+	// Remove one tag from the selection
+	const untagSelected = async (tag) => {
+		await untagPhotos(galleryPhotos.filter(photo => selected.includes(photo.id)), [tag]);
+	};
+
+	// Delete an album after confirming (its photos are kept)
+	const confirmDeleteAlbum = (album) => {
+		if (!canChange(album)) {
+			ToastAndroid.showWithGravity("Only the teammate who created " + album.name + " can delete it.", 1000, ToastAndroid.TOP);
+			return;
+		}
+
+		Alert.alert(
+			'Delete Album',
+			`Delete "${album.name}" for everyone on your team? Its photos are kept.`,
+			[
+				{ text: 'Cancel', style: 'cancel' },
+				{ text: 'Delete', style: 'destructive', onPress: () => deleteAlbum(album.id) }
+			]
+		);
+	};
+
+	// Render one grid cell
+	const renderThumbnail = ({ item: tile }) => {
+		const { photo, photoIds, sequence } = tile;
+		const isSelected = photoIds.every(photoId => selected.includes(photoId));
+
+		return (
+			<View
+				style={{
+					marginRight: 10,
+					width: thumbnailSize,
+					height: thumbnailSize,
+					borderRadius: 8,
+					overflow: "hidden",
+					position: "relative",
+				}}
+			>
+				<Pressable
+					onPress={() => {
+						// Open the photo full-screen; a sequence opens at its first shot, and only swipes through its own shots
+						if (mode === MODES.PREVIEW) {
+							router.push({
+								pathname: '/viewer',
+								params: sequence
+									? { id: photoIds[0], ids: JSON.stringify(photoIds) }
+									: { id: photo.id, ids: JSON.stringify(galleryPhotos.map(p => p.id)) },
+							});
+							return;
+						}
+
+						// Quit if not in selection mode
+						if (mode !== MODES.SELECT) return;
+
+						// Add the item (every photo of a sequence) to the selection
+						setSelected((prev) => {
+							// Remove the asset IDs from the array
+							if (isSelected) {
+								return prev.filter(assetId => !photoIds.includes(assetId));
+							}
+							// Add the asset IDs to the array
+							return [...new Set([...prev, ...photoIds])];
+						})
+					}}
+					onLongPress={() => {
+						if (mode === MODES.PREVIEW) setMode(MODES.SELECT)
+					}}
+				>
+					<Image
+						source={{ uri: photo.uri }}
+						style={{ width: "100%", height: "100%" }}
+						contentFit="cover"
+						// Keep decoded thumbnails around, and reuse views while scrolling
+						cachePolicy="memory-disk"
+						recyclingKey={photo.id}
+					/>
+				</Pressable>
+
+				<IconButton
+					icon={ isSelected ? "circle" : "circle-outline" }
+					size={13}
+					iconColor={ isSelected ? "black" : "#00000000" }
+					style={{
+						display: mode === MODES.SELECT ? 'flex' : 'none',
+						position: "absolute",
+						right: 0,
+						width: 20,
+						height: 20,
+						marginTop: 3,
+						marginRight: 3,
+						backgroundColor: '#00000033',
+						borderColor: 'black',
+						borderRadius: 40,
+						borderWidth: 2,
+						elevation: 5,
+					}}
+				/>
+
+				{/* Upload state badge */}
+				{ uploads[photo.id] && (
+					<View style={styles.uploadBadge}>
+						<MaterialCommunityIcons
+							name={UPLOAD_ICONS[uploads[photo.id].status].icon}
+							color={UPLOAD_ICONS[uploads[photo.id].status].color}
+							size={14}
+						/>
+					</View>
+				)}
+
+				{/* Video badge: its length */}
+				{ photo.mediaType === MediaLibrary.MediaType.video && (
+					<View pointerEvents="none" style={styles.videoBadge}>
+						<MaterialCommunityIcons name="play" color="white" size={14} />
+						<Text style={{ color: 'white', fontSize: 11 }}>{formatDuration(photo.duration)}</Text>
+					</View>
+				)}
+
+				{/* Sequence badge: its kind and number of shots */}
+				{ sequence && (
+					<View style={styles.sequenceBadge}>
+						<MaterialCommunityIcons name={SEQUENCE_ICONS[sequence.kind]} color="white" size={14} />
+						<Text style={{ color: 'white', fontSize: 11 }}>{photoIds.length}</Text>
+					</View>
+				)}
+			</View>
+		);
+	};
+
 	// Update the scroll Y value
 	const onScroll = (e) => {
 		scrollY.current = e.nativeEvent.contentOffset.y;
@@ -181,7 +649,7 @@ export default function Gallery() {//({ media=[], columns, deletePhotos, onExit
 				}}>
 					<IconButton icon="arrow-left" iconColor="white" background="#AAAAAA" onPress={router.back}/>
 					<Text variant="titleMedium" style={{ fontWeight: 'bold', color: 'white' }}>
-						Saved Photos ({photos.length})
+						Saved Photos ({allPhotos.length})
 					</Text>
 					<Button
 						mode="contained-tonal"
@@ -230,6 +698,75 @@ export default function Gallery() {//({ media=[], columns, deletePhotos, onExit
 							/>
 						)}
 
+						{/* The share sheet takes one file; use Export for several */}
+						{ mode === MODES.SELECT && (
+							<Menu.Item
+								onPress={() => {
+									sharePhotos(selected[0]);
+
+									// Close the menu
+									setVisible(false);
+								}}
+								disabled={selected.length !== 1}
+								leadingIcon="share-variant-outline"
+								title="Share"
+							/>
+						)}
+
+						{ mode === MODES.SELECT && (
+							<Menu.Item
+								onPress={() => {
+									exportSelected(...selected);
+
+									// Clear the selection mode
+									setMode(MODES.PREVIEW);
+									setSelected([]);
+
+									// Close the menu
+									setVisible(false);
+								}}
+								disabled={selected.length === 0}
+								leadingIcon="folder-zip-outline"
+								title="Export Selected"
+							/>
+						)}
+
+						{ mode === MODES.SELECT && (
+							<Menu.Item
+								onPress={() => openDialog('album')}
+								disabled={selected.length === 0}
+								leadingIcon="folder-plus-outline"
+								title="Add To Album"
+							/>
+						)}
+
+						{ mode === MODES.SELECT && canChange(activeAlbum) && (
+							<Menu.Item
+								onPress={() => {
+									removeFromAlbum(activeAlbum.id, selected);
+
+									// Clear the selection mode
+									setMode(MODES.PREVIEW);
+									setSelected([]);
+
+									// Close the menu
+									setVisible(false);
+								}}
+								disabled={selected.length === 0}
+								leadingIcon="folder-remove-outline"
+								title={`Remove From ${activeAlbum.name}`}
+							/>
+						)}
+
+						{ mode === MODES.SELECT && (
+							<Menu.Item
+								onPress={() => openDialog('tags')}
+								disabled={selected.length === 0}
+								leadingIcon="tag-outline"
+								title="Tags"
+							/>
+						)}
+
 						<Menu.Item
 							onPress={() => {
 								clearPhotos();
@@ -245,17 +782,115 @@ export default function Gallery() {//({ media=[], columns, deletePhotos, onExit
 							title="Delete All"
 						/>
 
-						{/* Upload-To-Cloud (unimplemented) 
+						{/* Upload-To-Cloud: the selection, or everything in preview mode */}
 						<Menu.Item
-							onPress={null}
+							onPress={() => {
+								uploadPhotos(...(mode === MODES.SELECT ? selected : galleryPhotos.map(asset => asset.id)));
+
+								// Clear the selection mode
+								setMode(MODES.PREVIEW);
+								setSelected([]);
+
+								// Close the menu
+								setVisible(false);
+							}}
 							leadingIcon="cloud-upload-outline"
-							title="Save To DB"
-						/> */}
+							title={mode === MODES.SELECT ? "Save Selected To DB" : "Save To DB"}
+						/>
+
+						<Menu.Item
+							onPress={() => {
+								router.push('/trash');
+
+								// Close the menu
+								setVisible(false);
+							}}
+							leadingIcon="trash-can-outline"
+							title={`Trash (${Object.keys(trash).length})`}
+						/>
+
+						<Menu.Item
+							onPress={() => {
+								setGroupByColor(group => !group);
+
+								// Close the menu
+								setVisible(false);
+							}}
+							leadingIcon={groupByColor ? "view-grid-outline" : "palette-outline"}
+							title={groupByColor ? "Show As Grid" : "Group By Color"}
+						/>
+
+						<Menu.Item
+							onPress={() => {
+								importPhotos();
+
+								// Close the menu
+								setVisible(false);
+							}}
+							leadingIcon="folder-download-outline"
+							title="Import ZIP"
+						/>
 					</Menu>
 				</View>
 
+				{/* Album and Tag Filter Chips (long-press an album to delete it) */}
+				{ (albums.length > 0 || allTags.length > 0) && (
+					<View>
+						<ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chips}>
+							{albums.map(album => (
+								<Chip
+									key={album.id}
+									compact
+									icon="folder-outline"
+									selected={activeAlbum?.id === album.id}
+									showSelectedCheck={false}
+									mode={activeAlbum?.id === album.id ? "flat" : "outlined"}
+									onPress={() => setCollectionFilter(activeAlbum?.id === album.id ? null : { album: album.id })}
+									onLongPress={() => confirmDeleteAlbum(album)}
+								>
+									{album.name} ({album.photoIds.filter(id => allPhotos.some(photo => photo.id === id)).length})
+								</Chip>
+							))}
+							{allTags.map(tag => (
+								<Chip
+									key={"tag-" + tag}
+									compact
+									icon="tag-outline"
+									selected={activeTag === tag}
+									showSelectedCheck={false}
+									mode={activeTag === tag ? "flat" : "outlined"}
+									onPress={() => setCollectionFilter(activeTag === tag ? null : { tag })}
+								>
+									{tag}
+								</Chip>
+							))}
+						</ScrollView>
+					</View>
+				)}
+
+				{/* Color Filter Chips */}
+				{ Object.keys(colorCounts).length > 0 && (
+					<View>
+						<ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chips}>
+							{COLOR_CLASSES.filter(color => colorCounts[color]).map(color => (
+								<Chip
+									key={color}
+									compact
+									selected={activeColor === color}
+									showSelectedCheck={false}
+									mode={activeColor === color ? "flat" : "outlined"}
+									avatar={<View style={[styles.swatch, { backgroundColor: COLOR_SWATCHES[color] }]} />}
+									onPress={() => setColorFilter(activeColor === color ? null : color)}
+								>
+									{color} ({colorCounts[color]})
+								</Chip>
+							))}
+						</ScrollView>
+					</View>
+				)}
+
 				{/* No-Media Alert */}
-				{ photos.length === 0 && (
+				{ galleryPhotos.length === 0 && (
 					<Text 
 						variant="headlineMedium"
 						style={{
@@ -267,87 +902,125 @@ export default function Gallery() {//({ media=[], columns, deletePhotos, onExit
 					</Text>
 				)}
 
-				{/* ScrollView with grid layout */}
-				{photos.length > 0 && (
-					<ScrollView
-						ref={scrollRef}
-						showsVerticalScrollIndicator={false}
-						style={{ marginBottom: 8 }}
-						onScroll={onScroll}
-						scrollEventThrottle={16}
-					>
-						{rows.map((row, rowIndex) => (
-							<View 
-								key={`row-${rowIndex}`}
-								style={{
-									flexDirection: 'row',
-									marginBottom: 10,
-									justifyContent: 'flex-start',
-								}}
-							>
-								{row.map((photo) => (
-									<View
-										key={photo.id}
-										style={{
-											marginRight: 10,
-											width: thumbnailSize,
-											height: thumbnailSize,
-											borderRadius: 8,
-											overflow: "hidden",
-											position: "relative",
-										}}
-									>
-										<Pressable
-											onPress={() => {
-												// Quit if not in selection mode
-												if (mode !== MODES.SELECT) return;
-
-												// Add the item to the selection
-												setSelected((prev) => {
-													// Remove the asset ID from the array
-													if (prev.includes(photo.id)) {
-														return prev.filter(assetId => assetId !== photo.id);
-													}
-													// Add the asset ID to the array
-													return [...prev, photo.id];
-												})
-											}}
-											onLongPress={() => {
-												if (mode === MODES.PREVIEW) setMode(MODES.SELECT)
-											}}
-										>
-											<Image
-												source={{ uri: photo.uri }}
-												style={{ width: "100%", height: "100%" }}
-												resizeMode="cover"
-											/>
-										</Pressable>
-
-										<IconButton
-											icon={ selected.includes(photo.id) ? "circle" : "circle-outline" }
-											size={13}
-											iconColor={ selected.includes(photo.id) ? "black" : "#00000000" }
-											style={{
-												display: mode === MODES.SELECT ? 'flex' : 'none',
-												position: "absolute",
-												right: 0,
-												width: 20,
-												height: 20,
-												marginTop: 3,
-												marginRight: 3,
-												backgroundColor: '#00000033',
-												borderColor: 'black',
-												borderRadius: 40,
-												borderWidth: 2,
-												elevation: 5,
-											}}
-										/>
-									</View>
+				{/* Photos in sections by dominant color */}
+				{galleryPhotos.length > 0 && groupByColor && (
+					<GestureDetector gesture={pinchColumns}>
+						<SectionList
+							sections={colorSections}
+							keyExtractor={row => row.map(tile => tile.key).join()}
+							renderItem={({ item: row }) => (
+								<View style={{ flexDirection: 'row', marginBottom: 10, justifyContent: 'flex-start' }}>
+									{row.map(tile => (
+										<View key={tile.key}>{renderThumbnail({ item: tile })}</View>
+									))}
+								</View>
+							)}
+							renderSectionHeader={({ section }) => (
+								<View style={styles.sectionHeader}>
+									{ section.title !== UNSORTED && (
+										<View style={[styles.swatch, { backgroundColor: COLOR_SWATCHES[section.title] }]} />
+									)}
+									<Text variant="titleSmall" style={{ color: 'white' }}>
+										{section.title === UNSORTED ? "Not analyzed yet" : section.title} ({section.count})
+									</Text>
+								</View>
+							)}
+							extraData={{ mode, selected, uploads, thumbnailSize }}
+							stickySectionHeadersEnabled
+							showsVerticalScrollIndicator={false}
+							style={{ marginBottom: 8 }}
+							renderScrollComponent={props => <ScrollView {...props} />}
+						/>
+					</GestureDetector>
+				)}
+
+				{/* Virtualized grid; pinch to change the number of columns */}
+				{galleryPhotos.length > 0 && !groupByColor && (
+					<GestureDetector gesture={pinchColumns}>
+						<FlatList
+							// numColumns can't change on the fly, so re-create the list instead
+							key={`columns-${numColumns}`}
+							ref={scrollRef}
+							data={galleryTiles}
+							keyExtractor={tile => tile.key}
+							renderItem={renderThumbnail}
+							extraData={{ mode, selected, uploads, thumbnailSize }}
+							numColumns={numColumns}
+							columnWrapperStyle={{ marginBottom: 10, justifyContent: 'flex-start' }}
+							initialNumToRender={numColumns * 6}
+							windowSize={7}
+							removeClippedSubviews
+							showsVerticalScrollIndicator={false}
+							style={{ marginBottom: 8 }}
+							onScroll={onScroll}
+							scrollEventThrottle={16}
+						/>
+					</GestureDetector>
+				)}
+
+				{/* Undo the last deletion */}
+				<Snackbar
+					visible={showUndo}
+					onDismiss={() => setShowUndo(false)}
+					duration={5000}
+					action={{ label: "Undo", onPress: undoDelete }}
+				>
+					{`Moved ${lastTrashed.length} photo${lastTrashed.length === 1 ? "" : "s"} to the trash.`}
+				</Snackbar>
+
+				<Portal>
+					{/* Add the selection to an album */}
+					<Dialog visible={dialog === 'album'} onDismiss={() => setDialog(null)}>
+						<Dialog.Title>Add {selected.length} To Album</Dialog.Title>
+						<Dialog.Content style={{ gap: 12 }}>
+							<View style={styles.dialogChips}>
+								{/* Teammates' albums can't be changed */}
+								{albums.filter(canChange).map(album => (
+									<Chip key={album.id} icon="folder-outline" onPress={() => addSelectedToAlbum(album.id)}>
+										{album.name}
+									</Chip>
 								))}
 							</View>
-						))}
-					</ScrollView>
-				)}
+							<TextInput
+								mode="outlined"
+								label="New album"
+								placeholder="i.e. Lab session 3"
+								value={dialogText}
+								onChangeText={setDialogText}
+								onSubmitEditing={() => addSelectedToAlbum(null)}
+							/>
+						</Dialog.Content>
+						<Dialog.Actions>
+							<Button onPress={() => setDialog(null)}>Cancel</Button>
+							<Button onPress={() => addSelectedToAlbum(null)} disabled={dialogText.trim().length === 0}>Create</Button>
+						</Dialog.Actions>
+					</Dialog>
+
+					{/* Add or remove tags of the selection */}
+					<Dialog visible={dialog === 'tags'} onDismiss={() => setDialog(null)}>
+						<Dialog.Title>Tag {selected.length} Photos</Dialog.Title>
+						<Dialog.Content style={{ gap: 12 }}>
+							<View style={styles.dialogChips}>
+								{[...new Set(selected.flatMap(id => photoTags[id] || []))].map(tag => (
+									<Chip key={tag} icon="tag-outline" onClose={() => untagSelected(tag)}>
+										{tag}
+									</Chip>
+								))}
+							</View>
+							<TextInput
+								mode="outlined"
+								label="Tags, separated by commas"
+								value={dialogText}
+								onChangeText={setDialogText}
+								onSubmitEditing={tagSelected}
+							/>
+						</Dialog.Content>
+						<Dialog.Actions>
+							<Button onPress={() => setDialog(null)}>Cancel</Button>
+							<Button onPress={tagSelected} disabled={dialogText.trim().length === 0}>Add</Button>
+						</Dialog.Actions>
+					</Dialog>
+				</Portal>
 			</View>
 		</PaperProvider>
 	);
@@ -432,4 +1105,59 @@ const styles = StyleSheet.create({
 		paddingVertical: 8,
 		height: '100%',
 	},
+	chips: {
+		gap: 6,
+		paddingBottom: 10,
+	},
+	swatch: {
+		width: 14,
+		height: 14,
+		borderRadius: 7,
+		borderWidth: 1,
+		borderColor: '#00000055',
+	},
+	dialogChips: {
+		flexDirection: 'row',
+		flexWrap: 'wrap',
+		gap: 6,
+	},
+	sectionHeader: {
+		flexDirection: 'row',
+		alignItems: 'center',
+		gap: 8,
+		paddingVertical: 6,
+		backgroundColor: '#000',
+	},
+	sequenceBadge: {
+		position: 'absolute',
+		left: 3,
+		top: 3,
+		flexDirection: 'row',
+		alignItems: 'center',
+		gap: 2,
+		paddingHorizontal: 4,
+		paddingVertical: 1,
+		borderRadius: 10,
+		backgroundColor: 'rgba(0,0,0,0.5)',
+	},
+	videoBadge: {
+		position: 'absolute',
+		right: 3,
+		bottom: 3,
+		flexDirection: 'row',
+		alignItems: 'center',
+		gap: 2,
+		paddingHorizontal: 4,
+		paddingVertical: 1,
+		borderRadius: 10,
+		backgroundColor: 'rgba(0,0,0,0.5)',
+	},
+	uploadBadge: {
+		position: 'absolute',
+		left: 3,
+		bottom: 3,
+		padding: 2,
+		borderRadius: 10,
+		backgroundColor: 'rgba(0,0,0,0.5)',
+	},
 });
\ No newline at end of file
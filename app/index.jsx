@@ -1,9 +1,11 @@
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useIsFocused } from '@react-navigation/native';
-import { CameraView, useCameraPermissions } from 'expo-camera';
+import { CameraView, useCameraPermissions, useMicrophonePermissions } from 'expo-camera';
+import { activateKeepAwakeAsync, deactivateKeepAwake } from 'expo-keep-awake';
 import * as MediaLibrary from 'expo-media-library';
 import { useRouter } from 'expo-router';
+import { Accelerometer } from 'expo-sensors';
 import { useEffect, useRef, useState } from 'react';
 import {
 	Image,
@@ -12,97 +14,562 @@ import {
 	TouchableOpacity,
 	View
 } from 'react-native';
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
 import { Button, Text } from 'react-native-paper';
-import { GALLERY_STORAGE_KEY } from './config';
- 
-// AsyncStorage.setItem(GALLERY_STORAGE_KEY, '').then(() => console.log("RESET"));
+import { runOnJS } from 'react-native-reanimated';
+import formatDuration from '../modules/formatDuration';
+import { addRecords, useGallery } from '../modules/galleryRepository';
+import { analyzeCapture, centerColor } from '../modules/photoColors';
+import { addToAppAlbum } from '../modules/reconcile';
+import { getSelectedRGB } from '../modules/tracking.global';
+import { CAMERA_SETTINGS_STORAGE_KEY } from './config';
+
+// Flash modes, in the order the flash button cycles through them
+const FLASH_MODES = ['off', 'auto', 'on'];
+const FLASH_ICONS = { off: 'flash-off', auto: 'flash-auto', on: 'flash' };
+
+// Self-timer delays in seconds (0 is off), in the order the timer button cycles through them
+const TIMER_DELAYS = [0, 3, 10];
+const TIMER_ICONS = { 0: 'timer-off-outline', 3: 'timer-3', 10: 'timer-10' };
+
+// Capture modes, in the order the mode button cycles through them
+const CAPTURE_MODES = ['photo', 'video', 'burst', 'interval'];
+const CAPTURE_MODE_ICONS = { photo: 'camera', video: 'video', burst: 'camera-burst', interval: 'timelapse' };
+
+// Burst sizes, interval periods (seconds) and interval run lengths (minutes) to cycle through
+const BURST_COUNTS = [3, 5, 10, 20];
+const INTERVAL_PERIODS = [2, 5, 10, 30, 60];
+const INTERVAL_DURATIONS = [1, 5, 15, 30, 60];
+
+// Keeps the screen on during an interval run
+const KEEP_AWAKE_TAG = 'interval-capture';
+
+// Zoom (0 to 1, a fraction of the device's maximum) gained per doubling of the pinch
+const ZOOM_SENSITIVITY = 0.4;
+
+// Focus reticle size, how long it stays on screen, and how long autofocus stays off before it runs again (milliseconds)
+const RETICLE_SIZE = 72;
+const RETICLE_DURATION = 1500;
+const REFOCUS_DELAY = 100;
+
+// Horizon level: accelerometer updates (milliseconds), smoothing (0 to 1, higher follows faster),
+// the tilt shown as level (degrees), and the sideways gravity (in g) below which the phone is lying too flat to level
+const LEVEL_UPDATE_INTERVAL = 100;
+const LEVEL_SMOOTHING = 0.3;
+const LEVEL_TOLERANCE = 1;
+const MIN_UPRIGHT_GRAVITY = 0.5;
+
+// Center probe: milliseconds between samples, and crosshair size
+const PROBE_INTERVAL = 1000;
+const PROBE_SIZE = 40;
+
+/**
+ * Describe a capture's colors in one line, for the toast shown once it is saved
+ * @param {Object} color The color metadata analyzeRecord() stored, or null if it failed
+ * @returns {String} i.e. "Saved! Center: Dark Red (RED) · Dominant: RED, GRAY · Target GREEN: not in frame"
+ */
+function colorReadout(color) {
+	if (!color?.center) return "Photo saved to gallery!";
+
+	const parts = [`Center: ${color.center.detailedColor} (${color.center.primary})`];
+	if (color.colors.length > 0) parts.push(`Dominant: ${color.colors.slice(0, 3).join(", ")}`);
+	if (color.target) parts.push(`Target ${color.target.primary}: ${color.colors.includes(color.target.primary) ? "in frame" : "not in frame"}`);
+
+	return "Saved! " + parts.join(" · ");
+}
 
 export default function CaptureScreen() {
 	const isFocused = useIsFocused(); // Detect if this screen is in focus
 	const [cameraPermission, requestCameraPermission] = useCameraPermissions();
 	const [mediaPermission, requestMediaPermission] = MediaLibrary.usePermissions();
+	const [microphonePermission, requestMicrophonePermission] = useMicrophonePermissions();
 	const [lastCaptureUri, setLastCapture] = useState(null);
 	const [facing, setFacing] = useState('back');
 	const cameraRef = useRef(null);
 	const router = useRouter();
+	const records = useGallery();
+
+	// Camera controls (all but zoom are kept between sessions)
+	const [flash, setFlash] = useState('off');
+	const [torch, setTorch] = useState(false);
+	const [timerDelay, setTimerDelay] = useState(0);
+	const [zoom, setZoom] = useState(0);
+	const [captureMode, setCaptureMode] = useState('photo');
+	const [burstCount, setBurstCount] = useState(BURST_COUNTS[1]);
+	const [intervalPeriod, setIntervalPeriod] = useState(INTERVAL_PERIODS[1]);
+	const [intervalDuration, setIntervalDuration] = useState(INTERVAL_DURATIONS[1]);
+	const [muted, setMuted] = useState(false);
+	const settingsLoaded = useRef(false);
+
+	// The video recording in progress: { paused, seconds }
+	const [recording, setRecording] = useState(null);
+	const recordingTimer = useRef(null);
+
+	// Composition overlays (kept between sessions)
+	const [showGrid, setShowGrid] = useState(false);
+	const [showLevel, setShowLevel] = useState(false);
+	const [showProbe, setShowProbe] = useState(false);
+	// Tilt of the phone in degrees, clockwise positive (null when it is lying flat)
+	const [roll, setRoll] = useState(null);
+	// The color under the crosshair: { rgb, primary, detailedColor, confidence }
+	const [probe, setProbe] = useState(null);
+	// The probe's still being taken (captures wait for it), whether a probe sample is still being analyzed,
+	// and whether a capture is using the camera (the probe waits for it)
+	const probing = useRef(null);
+	const sampling = useRef(false);
+	const shooting = useRef(false);
+
+	// The burst or interval run in progress: { kind, taken, total, saving }
+	const [run, setRun] = useState(null);
+	const stopRequested = useRef(false);
+	const cancelWait = useRef(null); // Ends the wait for the next interval shot early
+
+	// Autofocus is restarted by turning it off and on again
+	const [autofocus, setAutofocus] = useState('on');
+	// The tapped point the reticle is drawn at: { x, y }
+	const [reticle, setReticle] = useState(null);
+	const reticleTimer = useRef(null);
+	const refocusTimer = useRef(null);
+
+	// Seconds left on the self-timer, or null when it isn't running
+	const [countdown, setCountdown] = useState(null);
+	const countdownTimer = useRef(null);
+
+	// Save a captured photo or video to the media library and the gallery
+	// fields: extra record fields, i.e. the capture time and sequence of a burst shot
+	// Returns the asset, and a promise of its color metadata (null if the analysis failed)
+	const saveCapture = async (capture, fields = {}) => {
+		// Save to media library
+		const asset = await MediaLibrary.createAssetAsync(capture.uri);
+
+		// Keep captures together, so they can be found again if the gallery list is lost
+		try {
+			await addToAppAlbum(asset);
+		} catch (error) {
+			console.log("Could not add the capture to the album: " + error.message);
+		}
+
+		// Find its palette and center color in the background, and note the Tracking screen's target
+		// (started before the record is added, so the gallery's own analysis leaves it to this one)
+		const analysis = analyzeCapture(asset.id, getSelectedRGB().catch(() => null))
+			.catch(error => {
+				console.log("Could not analyze the capture: " + error.message);
+				return null;
+			});
+
+		// Add the photo at the top of the gallery
+		// So newer items appear on top
+		await addRecords([{ assetId: asset.id, capturedAt: asset.creationTime || Date.now(), ...fields }]);
+
+		// Update the gallery thumbnail (an Image can't show a video, so it keeps the last still)
+		if (asset.mediaType !== MediaLibrary.MediaType.video) setLastCapture(asset.uri);
+		return { asset, analysis };
+	};
+
+	// Keep the camera for a capture, once the probe's still (if any) is taken
+	const claimCamera = async () => {
+		shooting.current = true;
+		await probing.current;
+	};
+	const releaseCamera = () => {
+		shooting.current = false;
+	};
+
+	// Request media library permission if not granted
+	const ensureMediaPermission = async () => {
+		if (!mediaPermission?.granted) {
+			await requestMediaPermission();
+		}
+	};
 
 	const takePhoto = async () => {
 		if (cameraRef.current) {
 			try {
+				await claimCamera();
 				const photo = await cameraRef.current.takePictureAsync();
-				
-				// Request media library permission if not granted
-				if (!mediaPermission?.granted) {
-					await requestMediaPermission();
-				}
-				
-				// Save to media library
-				const asset = await MediaLibrary.createAssetAsync(photo.uri);
+				// The probe can go on while the photo is saved
+				releaseCamera();
 
-				// Stringified list of all previous captures
-				const oldPhotos = await AsyncStorage.getItem(GALLERY_STORAGE_KEY);
-				// Array to hold all total captures
-				let allPhotos = [];
+				await ensureMediaPermission();
+				const { analysis } = await saveCapture(photo);
 				
-				// Photos have been previously saved
-				if (oldPhotos) {
-					// Convert from AsyncStorage string to an array
-					allPhotos = JSON.parse(oldPhotos);
-				}
+				ToastAndroid.showWithGravity(colorReadout(await analysis), 2000, ToastAndroid.TOP);
+			} catch (error) {
+				ToastAndroid.showWithGravity("Failed to take photo: " + error.message, 1000, ToastAndroid.TOP);
+			} finally {
+				releaseCamera();
+			}
+		}
+	};
 
-				// Add the asset ID at the top of the list
-				// So newer items appear on top
-				allPhotos.unshift(asset.id);
+	// A new sequence, shared by every shot of a burst or interval run
+	const newSequence = (kind) => ({ id: `${kind}-${Date.now().toString(36)}`, kind });
 
-				// Add the photo-list to storage
-				await AsyncStorage.setItem(GALLERY_STORAGE_KEY, JSON.stringify(allPhotos));
+	// Take burstCount shots as fast as possible, then save them as one sequence
+	const takeBurst = async () => {
+		if (!cameraRef.current) return;
 
-				// Update the gallery thumbnail
-				setLastCapture(asset.uri);
-				
-				ToastAndroid.showWithGravity("Photo saved to gallery!", 1000, ToastAndroid.TOP);
+		const sequence = newSequence('burst');
+		const shots = [];
+		stopRequested.current = false;
+		setRun({ kind: 'burst', taken: 0, total: burstCount, saving: false });
+
+		try {
+			await ensureMediaPermission();
+			await claimCamera();
+
+			// Capture first and save afterwards, so the shots come as close together as the camera allows
+			try {
+				while (shots.length < burstCount && !stopRequested.current && cameraRef.current) {
+					const photo = await cameraRef.current.takePictureAsync({ shutterSound: false });
+					shots.push({ photo, capturedAt: Date.now() });
+					setRun(current => current && { ...current, taken: shots.length });
+				}
 			} catch (error) {
-				ToastAndroid.showWithGravity("Failed to take photo: " + error.message, 1000, ToastAndroid.TOP);
+				// Keep the shots taken so far
+				console.log("Burst stopped early: " + error.message);
+			}
+
+			setRun(current => current && { ...current, saving: true });
+			for (const [index, shot] of shots.entries()) {
+				await saveCapture(shot.photo, { capturedAt: shot.capturedAt, sequence: { ...sequence, index } });
 			}
+
+			ToastAndroid.showWithGravity("Burst of " + shots.length + " photos saved to gallery!", 1000, ToastAndroid.TOP);
+		} catch (error) {
+			ToastAndroid.showWithGravity("Failed to save the burst: " + error.message, 1000, ToastAndroid.TOP);
+		} finally {
+			releaseCamera();
+			setRun(null);
 		}
 	};
 
-	// Return the last captured URI
-	const updateLastCapture = async () => {
-		// Get the captured photos
-		let allPhotos = await AsyncStorage.getItem(GALLERY_STORAGE_KEY);
+	// Wait for the next interval shot, unless the run is stopped first
+	const waitFor = (milliseconds) => new Promise(resolve => {
+		const timer = setTimeout(resolve, Math.max(0, milliseconds));
+		cancelWait.current = () => {
+			clearTimeout(timer);
+			resolve();
+		};
+	});
 
-		console.log(allPhotos);
-		console.log("WTF")
+	// Take a shot every intervalPeriod seconds for intervalDuration minutes, keeping the screen on
+	// Each shot is saved right away, so a long run isn't lost if it's interrupted
+	const takeInterval = async () => {
+		if (!cameraRef.current) return;
 
-		// Do nothing if no previous photos
-		if (!allPhotos || allPhotos === '') {
-			setLastCapture(null);
-			return;
-		};
+		const sequence = newSequence('interval');
+		const total = Math.ceil(intervalDuration * 60 / intervalPeriod);
+		const startedAt = Date.now();
+		let taken = 0;
+		stopRequested.current = false;
+		setRun({ kind: 'interval', taken: 0, total, saving: false });
 
-		allPhotos = JSON.parse(allPhotos);
+		try {
+			await ensureMediaPermission();
+			await claimCamera();
+			await activateKeepAwakeAsync(KEEP_AWAKE_TAG);
 
-		if (allPhotos.length == 0) {
-			setLastCapture(null);
-			return;
+			for (let index = 0; index < total; index++) {
+				// Scheduled from the start, so slow saves don't make the run drift
+				await waitFor(startedAt + index * intervalPeriod * 1000 - Date.now());
+				if (stopRequested.current || !cameraRef.current) break;
+
+				const photo = await cameraRef.current.takePictureAsync({ shutterSound: false });
+				await saveCapture(photo, { capturedAt: Date.now(), sequence: { ...sequence, index } });
+
+				taken++;
+				setRun(current => current && { ...current, taken });
+			}
+
+			ToastAndroid.showWithGravity("Interval run of " + taken + " photos saved to gallery!", 1000, ToastAndroid.TOP);
+		} catch (error) {
+			ToastAndroid.showWithGravity("Interval run stopped after " + taken + " photos: " + error.message, 2000, ToastAndroid.TOP);
+		} finally {
+			releaseCamera();
+			deactivateKeepAwake(KEEP_AWAKE_TAG);
+			cancelWait.current = null;
+			setRun(null);
 		}
+	};
+
+	// Stop the burst or interval run in progress (shots already taken are kept)
+	const stopRun = () => {
+		stopRequested.current = true;
+		cancelWait.current?.();
+	};
 
-		const lastAsset = await MediaLibrary.getAssetInfoAsync(allPhotos[0]);
+	// Record a video until the shutter is pressed again
+	const recordVideo = async () => {
+		if (!cameraRef.current) return;
 
-		// Return the top image
-		setLastCapture(lastAsset.uri);
+		// Muted videos are recorded without the microphone
+		if (!muted && !microphonePermission?.granted) {
+			const { granted } = await requestMicrophonePermission();
+			if (!granted) {
+				ToastAndroid.showWithGravity("Microphone permission is required to record sound. Mute to record without it.", 2000, ToastAndroid.TOP);
+				return;
+			}
+		}
+
+		setRecording({ paused: false, seconds: 0 });
+		recordingTimer.current = setInterval(() => {
+			setRecording(current => current && !current.paused ? { ...current, seconds: current.seconds + 1 } : current);
+		}, 1000);
+
+		try {
+			await ensureMediaPermission();
+			await claimCamera();
+
+			// Resolves once the recording is stopped
+			const video = await cameraRef.current.recordAsync();
+			if (!video) throw new Error("Nothing was recorded");
+
+			await saveCapture(video);
+			ToastAndroid.showWithGravity("Video saved to gallery!", 1000, ToastAndroid.TOP);
+		} catch (error) {
+			ToastAndroid.showWithGravity("Failed to record video: " + error.message, 1000, ToastAndroid.TOP);
+		} finally {
+			releaseCamera();
+			clearInterval(recordingTimer.current);
+			setRecording(null);
+		}
+	};
+
+	// Stop the video recording in progress; recordVideo() then saves it
+	const stopRecording = () => {
+		cameraRef.current?.stopRecording();
+	};
+
+	// Pause or resume the video recording (not every device supports it)
+	const canPauseRecording = () => !!cameraRef.current?.getSupportedFeatures().toggleRecordingAsyncAvailable;
+	const togglePause = async () => {
+		try {
+			await cameraRef.current.toggleRecordingAsync();
+			setRecording(current => current && { ...current, paused: !current.paused });
+		} catch (error) {
+			ToastAndroid.showWithGravity("Could not pause the recording: " + error.message, 1000, ToastAndroid.TOP);
+		}
+	};
+
+	// Capture in the chosen mode
+	const capture = () => {
+		if (captureMode === 'video') recordVideo();
+		else if (captureMode === 'burst') takeBurst();
+		else if (captureMode === 'interval') takeInterval();
+		else takePhoto();
+	};
+
+	// Return the last captured photo's URI (videos are skipped, as an Image can't show them)
+	const updateLastCapture = async () => {
+		for (const record of records) {
+			// The photo may have been deleted outside the app
+			let asset = null;
+			try {
+				asset = await MediaLibrary.getAssetInfoAsync(record.assetId);
+			} catch (error) {
+				console.log("Last capture is missing: " + error.message);
+			}
+
+			if (asset && asset.mediaType !== MediaLibrary.MediaType.video) {
+				setLastCapture(asset.uri);
+				return;
+			}
+		}
+
+		// No previous photos
+		setLastCapture(null);
 	}
 
 	// Reload the gallery each time the screen is refocused
 	useEffect(() => {
 		if (isFocused) updateLastCapture();
+	}, [isFocused, records]);
+
+	// Restore the camera settings used last session
+	useEffect(() => {
+		AsyncStorage.getItem(CAMERA_SETTINGS_STORAGE_KEY)
+			.then(stored => {
+				const settings = JSON.parse(stored) || {};
+				if (['back', 'front'].includes(settings.facing)) setFacing(settings.facing);
+				if (FLASH_MODES.includes(settings.flash)) setFlash(settings.flash);
+				if (typeof settings.torch === 'boolean') setTorch(settings.torch);
+				if (TIMER_DELAYS.includes(settings.timerDelay)) setTimerDelay(settings.timerDelay);
+				if (CAPTURE_MODES.includes(settings.captureMode)) setCaptureMode(settings.captureMode);
+				if (BURST_COUNTS.includes(settings.burstCount)) setBurstCount(settings.burstCount);
+				if (INTERVAL_PERIODS.includes(settings.intervalPeriod)) setIntervalPeriod(settings.intervalPeriod);
+				if (INTERVAL_DURATIONS.includes(settings.intervalDuration)) setIntervalDuration(settings.intervalDuration);
+				if (typeof settings.muted === 'boolean') setMuted(settings.muted);
+				if (typeof settings.showGrid === 'boolean') setShowGrid(settings.showGrid);
+				if (typeof settings.showLevel === 'boolean') setShowLevel(settings.showLevel);
+				if (typeof settings.showProbe === 'boolean') setShowProbe(settings.showProbe);
+			})
+			.catch(error => console.log("Could not load camera settings: " + error.message))
+			.finally(() => { settingsLoaded.current = true; });
+	}, []);
+
+	// Remember the camera settings (once loaded, so the defaults don't overwrite them)
+	useEffect(() => {
+		if (!settingsLoaded.current) return;
+		AsyncStorage.setItem(CAMERA_SETTINGS_STORAGE_KEY, JSON.stringify({
+			facing, flash, torch, timerDelay, captureMode, burstCount, intervalPeriod, intervalDuration, muted,
+			showGrid, showLevel, showProbe,
+		}));
+	}, [facing, flash, torch, timerDelay, captureMode, burstCount, intervalPeriod, intervalDuration, muted, showGrid, showLevel, showProbe]);
+
+	// Horizon level, from gravity across the screen (Android axes, in g: x points right, y up)
+	useEffect(() => {
+		if (!showLevel || !isFocused) {
+			setRoll(null);
+			return;
+		}
+
+		Accelerometer.setUpdateInterval(LEVEL_UPDATE_INTERVAL);
+		const subscription = Accelerometer.addListener(({ x, y }) => {
+			// Lying flat: there is no horizon to level
+			if (Math.hypot(x, y) < MIN_UPRIGHT_GRAVITY) {
+				setRoll(null);
+				return;
+			}
+
+			const angle = Math.atan2(x, y) * 180 / Math.PI;
+			setRoll(current => current === null ? angle : current + (angle - current) * LEVEL_SMOOTHING);
+		});
+
+		return () => subscription.remove();
+	}, [showLevel, isFocused]);
+
+	// Center probe: expo-camera can't read preview frames, so it takes a silent still every PROBE_INTERVAL,
+	// kept as a native image, of which only the center spot is cropped and decoded
+	// Paused while filming (no stills in video mode) and while the flash could fire
+	useEffect(() => {
+		if (!showProbe || !isFocused || captureMode === 'video' || flash !== 'off') {
+			setProbe(null);
+			return;
+		}
+
+		let cancelled = false;
+		const timer = setInterval(async () => {
+			if (sampling.current || shooting.current || !cameraRef.current) return;
+			sampling.current = true;
+
+			let still = null;
+			try {
+				const taking = cameraRef.current.takePictureAsync({ pictureRef: true, shutterSound: false });
+				probing.current = taking.catch(() => {});
+				still = await taking;
+				// Captures don't wait for the analysis
+				probing.current = null;
+
+				const center = await centerColor(still);
+				if (!cancelled) setProbe(center);
+			} catch (error) {
+				console.log("Center probe failed: " + error.message);
+			} finally {
+				still?.release();
+				probing.current = null;
+				sampling.current = false;
+			}
+		}, PROBE_INTERVAL);
+
+		return () => {
+			cancelled = true;
+			clearInterval(timer);
+		};
+	}, [showProbe, isFocused, captureMode, flash]);
+
+	// Stop the self-timer, any burst or interval run, and any recording when leaving the screen
+	useEffect(() => {
+		if (isFocused) return;
+
+		clearInterval(countdownTimer.current);
+		setCountdown(null);
+		stopRun();
+		stopRecording();
 	}, [isFocused]);
+	useEffect(() => () => {
+		clearInterval(countdownTimer.current);
+		clearInterval(recordingTimer.current);
+		clearTimeout(reticleTimer.current);
+		clearTimeout(refocusTimer.current);
+		stopRun();
+	}, []);
 
 	const toggleCameraFacing = () => {
 		setFacing(current => (current === 'back' ? 'front' : 'back'));
+		setZoom(0);
 	};
 
+	// Cycle to the next value of a list
+	const nextOf = (list, current) => list[(list.indexOf(current) + 1) % list.length];
+
+	// Capture now, or start (or cancel) the self-timer, or stop a recording, burst or interval run
+	const onShutter = () => {
+		if (recording) {
+			stopRecording();
+			return;
+		}
+
+		if (run) {
+			stopRun();
+			return;
+		}
+
+		if (countdown !== null) {
+			clearInterval(countdownTimer.current);
+			setCountdown(null);
+			return;
+		}
+
+		if (timerDelay === 0) {
+			capture();
+			return;
+		}
+
+		let remaining = timerDelay;
+		setCountdown(remaining);
+		countdownTimer.current = setInterval(() => {
+			remaining -= 1;
+			if (remaining > 0) {
+				setCountdown(remaining);
+				return;
+			}
+
+			clearInterval(countdownTimer.current);
+			setCountdown(null);
+			capture();
+		}, 1000);
+	};
+
+	// Show the reticle at the tapped point and run autofocus again
+	// expo-camera has no API to focus or meter at a chosen point: turning autofocus off and on
+	// starts a new focus and metering pass, but the camera picks where to focus, not the tap
+	const focusAt = (x, y) => {
+		setReticle({ x, y });
+		setAutofocus('off');
+		// A separate render, so the camera sees the change to 'off' before the change back
+		clearTimeout(refocusTimer.current);
+		refocusTimer.current = setTimeout(() => setAutofocus('on'), REFOCUS_DELAY);
+
+		clearTimeout(reticleTimer.current);
+		reticleTimer.current = setTimeout(() => setReticle(null), RETICLE_DURATION);
+	};
+
+	// Pinch to zoom, relative to the zoom when the pinch started
+	const pinchStartZoom = useRef(0);
+	const startPinch = () => { pinchStartZoom.current = zoom; };
+	const pinchTo = (scale) => {
+		setZoom(Math.min(1, Math.max(0, pinchStartZoom.current + Math.log2(scale) * ZOOM_SENSITIVITY)));
+	};
+
+	const cameraGestures = Gesture.Race(
+		Gesture.Pinch()
+			.onStart(() => runOnJS(startPinch)())
+			.onUpdate(event => runOnJS(pinchTo)(event.scale)),
+		Gesture.Tap()
+			.onEnd(event => runOnJS(focusAt)(event.x, event.y))
+	);
+
 	if (!cameraPermission) {
 		return (
 			<View style={styles.container}>
@@ -125,14 +592,167 @@ export default function CaptureScreen() {
 	return (
 		<View style={styles.container}>
 			{/* Camera Preview */}
-			<CameraView style={styles.camera} ref={cameraRef} facing={facing}>
+			<CameraView
+				style={styles.camera}
+				ref={cameraRef}
+				facing={facing}
+				flash={flash}
+				enableTorch={torch}
+				zoom={zoom}
+				autofocus={autofocus}
+				mode={captureMode === 'video' ? 'video' : 'picture'}
+				mute={muted}
+				// The probe's stills would flash the preview
+				animateShutter={!showProbe}
+			>
 				<View style={styles.cameraOverlay}>
-					<TouchableOpacity 
-						style={styles.flipButton} 
-						onPress={toggleCameraFacing}
-					>
-						<MaterialCommunityIcons name="camera-flip" size={32} color="white" />
-					</TouchableOpacity>
+					{/* Rule-of-Thirds Grid */}
+					{ showGrid && (
+						<View pointerEvents="none" style={StyleSheet.absoluteFill}>
+							<View style={[styles.gridLine, styles.gridVertical, { left: '33.33%' }]} />
+							<View style={[styles.gridLine, styles.gridVertical, { left: '66.67%' }]} />
+							<View style={[styles.gridLine, styles.gridHorizontal, { top: '33.33%' }]} />
+							<View style={[styles.gridLine, styles.gridHorizontal, { top: '66.67%' }]} />
+						</View>
+					)}
+
+					{/* Horizon Level; turns green when level */}
+					{ showLevel && roll !== null && (
+						<View pointerEvents="none" style={styles.centered}>
+							<Text style={styles.levelText}>
+								{Math.abs(roll) < LEVEL_TOLERANCE ? "Level" : `${roll.toFixed(1)}°`}
+							</Text>
+							<View
+								style={[
+									styles.levelLine,
+									Math.abs(roll) < LEVEL_TOLERANCE && styles.levelLineLevel,
+									{ transform: [{ rotate: `${roll}deg` }] },
+								]}
+							/>
+						</View>
+					)}
+
+					{/* Center Color Probe */}
+					{ showProbe && (
+						<View pointerEvents="none" style={styles.centered}>
+							<MaterialCommunityIcons name="crosshairs" size={PROBE_SIZE} color="white" />
+							<View style={styles.probeLabel}>
+								{ probe && <View style={[styles.probeSwatch, { backgroundColor: `rgb(${probe.rgb.join(',')})` }]} /> }
+								<Text style={{ color: 'white' }}>
+									{ captureMode === 'video'
+										? "Probe paused while filming"
+										: flash !== 'off'
+											? "Turn the flash off to probe"
+											: probe ? `${probe.detailedColor} (${probe.primary})` : "Probing..."}
+								</Text>
+							</View>
+						</View>
+					)}
+
+
+					{/* Pinch to zoom, tap to focus (behind the controls, so pressing them doesn't focus) */}
+					<GestureDetector gesture={cameraGestures}>
+						<View style={StyleSheet.absoluteFill}>
+							{/* Focus Reticle */}
+							{ reticle && (
+								<View
+									pointerEvents="none"
+									style={[styles.reticle, { left: reticle.x - RETICLE_SIZE / 2, top: reticle.y - RETICLE_SIZE / 2 }]}
+								/>
+							)}
+						</View>
+					</GestureDetector>
+
+					{/* Burst and Interval Settings; tap to change */}
+					{ captureMode !== 'photo' && (
+						<View style={styles.modeOptions}>
+							{ captureMode === 'burst' && (
+								<TouchableOpacity style={styles.modeOption} disabled={run !== null} onPress={() => setBurstCount(current => nextOf(BURST_COUNTS, current))}>
+									<Text style={{ color: 'white' }}>{burstCount} shots</Text>
+								</TouchableOpacity>
+							)}
+							{ captureMode === 'interval' && (
+								<TouchableOpacity style={styles.modeOption} disabled={run !== null} onPress={() => setIntervalPeriod(current => nextOf(INTERVAL_PERIODS, current))}>
+									<Text style={{ color: 'white' }}>Every {intervalPeriod}s</Text>
+								</TouchableOpacity>
+							)}
+							{ captureMode === 'interval' && (
+								<TouchableOpacity style={styles.modeOption} disabled={run !== null} onPress={() => setIntervalDuration(current => nextOf(INTERVAL_DURATIONS, current))}>
+									<Text style={{ color: 'white' }}>For {intervalDuration} min</Text>
+								</TouchableOpacity>
+							)}
+						</View>
+					)}
+
+					{/* Camera Controls */}
+					<View style={styles.cameraControls}>
+						<TouchableOpacity style={styles.flipButton} disabled={run !== null || recording !== null} onPress={() => setCaptureMode(current => nextOf(CAPTURE_MODES, current))}>
+							<MaterialCommunityIcons name={CAPTURE_MODE_ICONS[captureMode]} size={28} color={captureMode === 'photo' ? "white" : "#FFD54F"} />
+						</TouchableOpacity>
+						{ captureMode === 'video' && (
+							<TouchableOpacity style={styles.flipButton} disabled={recording !== null} onPress={() => setMuted(on => !on)}>
+								<MaterialCommunityIcons name={muted ? "microphone-off" : "microphone"} size={28} color={muted ? "#E57373" : "white"} />
+							</TouchableOpacity>
+						)}
+						<TouchableOpacity style={styles.flipButton} onPress={() => setFlash(current => nextOf(FLASH_MODES, current))}>
+							<MaterialCommunityIcons name={FLASH_ICONS[flash]} size={28} color="white" />
+						</TouchableOpacity>
+						<TouchableOpacity style={styles.flipButton} onPress={() => setTorch(on => !on)}>
+							<MaterialCommunityIcons name={torch ? "flashlight" : "flashlight-off"} size={28} color={torch ? "#FFD54F" : "white"} />
+						</TouchableOpacity>
+						<TouchableOpacity style={styles.flipButton} onPress={() => setTimerDelay(current => nextOf(TIMER_DELAYS, current))}>
+							<MaterialCommunityIcons name={TIMER_ICONS[timerDelay]} size={28} color="white" />
+						</TouchableOpacity>
+						{/* Flipping the camera would end the recording */}
+						<TouchableOpacity style={styles.flipButton} disabled={recording !== null} onPress={toggleCameraFacing}>
+							<MaterialCommunityIcons name="camera-flip" size={28} color="white" />
+						</TouchableOpacity>
+					</View>
+
+					{/* Overlay Toggles */}
+					<View style={styles.overlayToggles}>
+						<TouchableOpacity style={styles.flipButton} onPress={() => setShowGrid(on => !on)}>
+							<MaterialCommunityIcons name={showGrid ? "grid" : "grid-off"} size={24} color={showGrid ? "#FFD54F" : "white"} />
+						</TouchableOpacity>
+						<TouchableOpacity style={styles.flipButton} onPress={() => setShowLevel(on => !on)}>
+							<MaterialCommunityIcons name="spirit-level" size={24} color={showLevel ? "#FFD54F" : "white"} />
+						</TouchableOpacity>
+						<TouchableOpacity style={styles.flipButton} onPress={() => setShowProbe(on => !on)}>
+							<MaterialCommunityIcons name={showProbe ? "crosshairs" : "crosshairs-off"} size={24} color={showProbe ? "#FFD54F" : "white"} />
+						</TouchableOpacity>
+					</View>
+
+					{/* Zoom level; tap to reset */}
+					{ zoom > 0 && (
+						<TouchableOpacity style={styles.zoomBadge} onPress={() => setZoom(0)}>
+							<Text style={{ color: 'white' }}>Zoom {Math.round(zoom * 100)}%</Text>
+						</TouchableOpacity>
+					)}
+
+					{/* Burst or Interval Progress */}
+					{ run && (
+						<View pointerEvents="none" style={styles.runProgress}>
+							<MaterialCommunityIcons name={CAPTURE_MODE_ICONS[run.kind]} size={18} color="white" />
+							<Text style={{ color: 'white' }}>
+								{run.saving ? "Saving " + run.taken + " photos..." : run.taken + " / " + run.total}
+							</Text>
+						</View>
+					)}
+
+					{/* Recording Timer */}
+					{ recording && (
+						<View pointerEvents="none" style={styles.runProgress}>
+							<MaterialCommunityIcons name={recording.paused ? "pause" : "record"} size={18} color="#E53935" />
+							<Text style={{ color: 'white' }}>{formatDuration(recording.seconds)}</Text>
+						</View>
+					)}
+
+					{/* Self-Timer Countdown */}
+					{ countdown !== null && (
+						<View pointerEvents="none" style={styles.countdown}>
+							<Text style={styles.countdownText}>{countdown}</Text>
+						</View>
+					)}
 				</View>
 			</CameraView>
 
@@ -149,9 +769,20 @@ export default function CaptureScreen() {
 
 				{/* Controls */}
 				<View style={styles.controls}>
-					<TouchableOpacity style={styles.captureButton} onPress={takePhoto}>
-						<View style={styles.captureButtonInner} />
+					<TouchableOpacity style={styles.captureButton} onPress={onShutter}>
+						{ run || recording
+							? <MaterialCommunityIcons name="stop" size={36} color="#E53935" />
+							: countdown !== null
+								? <MaterialCommunityIcons name="close" size={36} color="black" />
+								: <View style={[styles.captureButtonInner, captureMode === 'video' && styles.recordButtonInner]} />}
 					</TouchableOpacity>
+
+					{/* Pause or resume the recording */}
+					{ recording && canPauseRecording() && (
+						<TouchableOpacity style={styles.pauseButton} onPress={togglePause}>
+							<MaterialCommunityIcons name={recording.paused ? "play" : "pause"} size={28} color="white" />
+						</TouchableOpacity>
+					)}
 				</View>
 			</View>
 			
@@ -203,12 +834,130 @@ const styles = StyleSheet.create({
 		backgroundColor: 'transparent',
 		padding: 20,
 	},
+	cameraControls: {
+		alignSelf: 'flex-end',
+		gap: 12,
+	},
 	flipButton: {
 		alignSelf: 'flex-end',
 		backgroundColor: 'rgba(0,0,0,0.5)',
 		padding: 10,
 		borderRadius: 50,
 	},
+	overlayToggles: {
+		position: 'absolute',
+		bottom: 20,
+		left: 20,
+		gap: 8,
+	},
+	gridLine: {
+		position: 'absolute',
+		backgroundColor: 'rgba(255,255,255,0.5)',
+	},
+	gridVertical: {
+		top: 0,
+		bottom: 0,
+		width: StyleSheet.hairlineWidth,
+	},
+	gridHorizontal: {
+		left: 0,
+		right: 0,
+		height: StyleSheet.hairlineWidth,
+	},
+	centered: {
+		...StyleSheet.absoluteFillObject,
+		justifyContent: 'center',
+		alignItems: 'center',
+	},
+	levelLine: {
+		width: '60%',
+		height: 2,
+		backgroundColor: 'white',
+	},
+	levelLineLevel: {
+		backgroundColor: '#81C784',
+	},
+	levelText: {
+		position: 'absolute',
+		top: '50%',
+		marginTop: -(PROBE_SIZE / 2 + 24),
+		color: 'white',
+		textShadowColor: 'rgba(0,0,0,0.6)',
+		textShadowRadius: 4,
+	},
+	probeLabel: {
+		position: 'absolute',
+		top: '50%',
+		marginTop: PROBE_SIZE / 2 + 8,
+		flexDirection: 'row',
+		alignItems: 'center',
+		gap: 6,
+		backgroundColor: 'rgba(0,0,0,0.5)',
+		paddingHorizontal: 10,
+		paddingVertical: 4,
+		borderRadius: 12,
+	},
+	probeSwatch: {
+		width: 14,
+		height: 14,
+		borderRadius: 7,
+		borderWidth: 1,
+		borderColor: 'white',
+	},
+	zoomBadge: {
+		position: 'absolute',
+		bottom: 20,
+		alignSelf: 'center',
+		backgroundColor: 'rgba(0,0,0,0.5)',
+		paddingHorizontal: 12,
+		paddingVertical: 6,
+		borderRadius: 16,
+	},
+	modeOptions: {
+		position: 'absolute',
+		top: 20,
+		left: 20,
+		gap: 8,
+	},
+	modeOption: {
+		alignSelf: 'flex-start',
+		backgroundColor: 'rgba(0,0,0,0.5)',
+		paddingHorizontal: 12,
+		paddingVertical: 6,
+		borderRadius: 16,
+	},
+	runProgress: {
+		position: 'absolute',
+		top: 20,
+		alignSelf: 'center',
+		flexDirection: 'row',
+		alignItems: 'center',
+		gap: 6,
+		backgroundColor: 'rgba(0,0,0,0.5)',
+		paddingHorizontal: 12,
+		paddingVertical: 6,
+		borderRadius: 16,
+	},
+	reticle: {
+		position: 'absolute',
+		width: RETICLE_SIZE,
+		height: RETICLE_SIZE,
+		borderWidth: 2,
+		borderColor: '#FFD54F',
+		borderRadius: 8,
+	},
+	countdown: {
+		...StyleSheet.absoluteFillObject,
+		justifyContent: 'center',
+		alignItems: 'center',
+	},
+	countdownText: {
+		color: 'white',
+		fontSize: 120,
+		fontWeight: 'bold',
+		textShadowColor: 'rgba(0,0,0,0.6)',
+		textShadowRadius: 12,
+	},
 	controls: { 
 		flex: 1,
 		padding: 20,
@@ -231,6 +980,17 @@ const styles = StyleSheet.create({
 		borderRadius: 30,
 		backgroundColor: 'white',
 	},
+	recordButtonInner: {
+		backgroundColor: '#E53935',
+	},
+	pauseButton: {
+		position: 'absolute',
+		right: 40,
+		top: 30,
+		backgroundColor: 'rgba(255,255,255,0.2)',
+		padding: 10,
+		borderRadius: 50,
+	},
 	galleryContainer: {
 		backgroundColor: '#1a1a1a',
 		paddingVertical: 8,
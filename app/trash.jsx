@@ -0,0 +1,194 @@
+import { useIsFocused } from '@react-navigation/native';
+import { Image } from 'expo-image';
+import { useRouter } from "expo-router";
+import { useEffect, useMemo, useState } from "react";
+import { Alert, FlatList, Pressable, StyleSheet, ToastAndroid, View, useWindowDimensions } from "react-native";
+import { Button, IconButton, PaperProvider, Text } from 'react-native-paper';
+import { daysUntilPurge, deletePermanently, purgeExpiredTrash, restorePhotos, useTrash } from '../modules/trash';
+import { TRASH_RETENTION_DAYS } from "./config";
+
+// Columns in the trash grid
+const NUM_COLUMNS = 3;
+
+export default function Trash() {
+	// Page router
+	const router = useRouter();
+
+	const isFocused = useIsFocused(); // Detect if this screen is in focus
+	const trash = useTrash();
+	const [selected, setSelected] = useState([]);
+
+	// Most recently trashed first
+	const entries = useMemo(
+		() => Object.values(trash).sort((a, b) => b.trashedAt - a.trashedAt),
+		[trash]
+	);
+
+	// Calculate thumbnail size from the screen width, as the gallery does
+	const { width } = useWindowDimensions();
+	const containerPadding = 20; // 10px on each side
+	const itemGap = 10;
+	const thumbnailSize = (width - containerPadding - (NUM_COLUMNS - 1) * itemGap) / NUM_COLUMNS;
+
+	// Purge anything past its retention time each time the screen is opened
+	useEffect(() => {
+		if (isFocused) purgeExpiredTrash();
+		else setSelected([]);
+	}, [isFocused]);
+
+	// The selection, or everything when nothing is selected
+	const targets = () => (selected.length > 0 ? selected : entries.map(entry => entry.id));
+
+	const restore = async () => {
+		const ids = targets();
+		if (ids.length === 0) return;
+
+		await restorePhotos(ids);
+		setSelected([]);
+
+		ToastAndroid.showWithGravity("Restored " + ids.length + " photos.", 1000, ToastAndroid.TOP);
+	};
+
+	const deleteForever = () => {
+		const ids = targets();
+		if (ids.length === 0) return;
+
+		Alert.alert(
+			selected.length > 0 ? 'Delete Selected' : 'Empty Trash',
+			`Permanently delete ${ids.length} photo${ids.length === 1 ? "" : "s"}? This can't be undone.`,
+			[
+				{ text: 'Cancel', style: 'cancel' },
+				{
+					text: 'Delete',
+					style: 'destructive',
+					onPress: async () => {
+						try {
+							const deleted = await deletePermanently(ids);
+							setSelected([]);
+							ToastAndroid.showWithGravity("Deleted " + deleted + " photos.", 1000, ToastAndroid.TOP);
+						}
+						catch (e) {
+							// i.e. the system deletion prompt was declined
+							console.error(e);
+						}
+					}
+				}
+			]
+		);
+	};
+
+	// Render one grid cell
+	const renderEntry = ({ item: entry }) => (
+		<Pressable
+			onPress={() => {
+				setSelected(prev => prev.includes(entry.id)
+					? prev.filter(id => id !== entry.id)
+					: [...prev, entry.id]
+				);
+			}}
+			style={[
+				styles.cell,
+				{ width: thumbnailSize, height: thumbnailSize },
+				selected.includes(entry.id) && styles.selectedCell,
+			]}
+		>
+			<Image source={{ uri: entry.uri }} style={{ width: "100%", height: "100%" }} contentFit="cover" cachePolicy="memory-disk" />
+
+			{/* Time left before it is purged */}
+			<Text style={styles.daysLeft}>
+				{daysUntilPurge(entry)}d
+			</Text>
+		</Pressable>
+	);
+
+	return (
+		<PaperProvider>
+			<View style={styles.container}>
+				{/* Trash Header */}
+				<View style={styles.header}>
+					<IconButton icon="arrow-left" iconColor="white" onPress={() => router.navigate('/gallery')}/>
+					<Text variant="titleMedium" style={{ fontWeight: 'bold', color: 'white' }}>
+						Trash ({entries.length})
+					</Text>
+					<View style={{ width: 48 }} />
+				</View>
+
+				<Text style={styles.hint}>
+					Photos are deleted for good {TRASH_RETENTION_DAYS} days after they are trashed.
+				</Text>
+
+				{/* No-Media Alert */}
+				{ entries.length === 0 && (
+					<Text variant="headlineMedium" style={{ color: 'white', textAlign: 'center' }}>
+						Trash is empty.
+					</Text>
+				)}
+
+				<FlatList
+					data={entries}
+					keyExtractor={entry => entry.id}
+					renderItem={renderEntry}
+					extraData={selected}
+					numColumns={NUM_COLUMNS}
+					columnWrapperStyle={{ gap: itemGap, marginBottom: itemGap }}
+					showsVerticalScrollIndicator={false}
+				/>
+
+				{/* Actions on the selection, or the whole trash */}
+				{ entries.length > 0 && (
+					<View style={styles.actions}>
+						<Button mode="contained-tonal" icon="restore" onPress={restore}>
+							{selected.length > 0 ? `Restore (${selected.length})` : "Restore All"}
+						</Button>
+						<Button mode="contained" icon="delete-forever" buttonColor="#E57373" onPress={deleteForever}>
+							{selected.length > 0 ? `Delete (${selected.length})` : "Empty Trash"}
+						</Button>
+					</View>
+				)}
+			</View>
+		</PaperProvider>
+	);
+}
+
+const styles = StyleSheet.create({
+	container: {
+		flex: 1,
+		backgroundColor: '#000',
+		paddingHorizontal: 10,
+		paddingTop: 5,
+	},
+	header: {
+		flexDirection: 'row',
+		justifyContent: 'space-between',
+		alignItems: 'center',
+		marginBottom: 4,
+	},
+	hint: {
+		color: '#AAAAAA',
+		marginBottom: 10,
+	},
+	cell: {
+		borderRadius: 8,
+		overflow: 'hidden',
+		borderWidth: 2,
+		borderColor: 'transparent',
+	},
+	selectedCell: {
+		borderColor: '#4FC3F7',
+	},
+	daysLeft: {
+		position: 'absolute',
+		right: 4,
+		bottom: 4,
+		paddingHorizontal: 4,
+		borderRadius: 6,
+		color: 'white',
+		fontSize: 11,
+		backgroundColor: 'rgba(0,0,0,0.6)',
+	},
+	actions: {
+		flexDirection: 'row',
+		justifyContent: 'space-around',
+		paddingVertical: 10,
+	},
+});
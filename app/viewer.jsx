@@ -0,0 +1,598 @@
+import { File } from 'expo-file-system';
+import * as MediaLibrary from 'expo-media-library';
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { VideoView, useVideoPlayer } from 'expo-video';
+import { useEffect, useMemo, useRef, useState } from "react";
+import { FlatList, Image, StyleSheet, ToastAndroid, View } from "react-native";
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+import { Button, Chip, IconButton, PaperProvider, Text } from 'react-native-paper';
+import Animated, { runOnJS, useAnimatedStyle, useSharedValue, withTiming } from 'react-native-reanimated';
+import AdvancedColorDetector from '../modules/AdvancedColorDetector';
+import formatDuration from '../modules/formatDuration';
+import { REMOTE_PREFIX, useRemotePhotos } from '../modules/gallerySync';
+import { samplePhotoColor, samplingSize } from '../modules/photoColors';
+import { setSelectedColor } from '../modules/tracking.global';
+import { UPLOAD_STATUS, useUploadStates } from '../modules/uploadQueue';
+
+// Zoom limits, and the zoom a double-tap jumps to
+const MIN_SCALE = 1;
+const MAX_SCALE = 5;
+const DOUBLE_TAP_SCALE = 2.5;
+
+// Color sampling radii to choose from, in image pixels (the default matches the Tracking screen)
+const SAMPLE_RADII = [5, 10, 20, 40];
+const DEFAULT_SAMPLE_RADIUS = 10;
+// Smallest sampling circle drawn, in screen points
+const MIN_MARKER_SIZE = 12;
+
+// Description of each upload state in the details sheet
+const UPLOAD_LABELS = {
+	[UPLOAD_STATUS.QUEUED]: "Waiting to upload",
+	[UPLOAD_STATUS.UPLOADING]: "Uploading",
+	[UPLOAD_STATUS.UPLOADED]: "Uploaded",
+	[UPLOAD_STATUS.FAILED]: "Upload failed",
+};
+
+/**
+ * Format a byte count for display
+ * @param {Number} bytes The size in bytes
+ * @returns {String} i.e. "2.4 MB"
+ */
+function formatBytes(bytes) {
+	if (!bytes) return "Unknown";
+
+	const units = ["B", "KB", "MB", "GB"];
+	const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+	return `${(bytes / 1024 ** exponent).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+/**
+ * Get the size of a local file
+ * @param {String} uri A file:// URI
+ * @returns {Number|null} The size in bytes, or null if it can't be read
+ */
+function fileSize(uri) {
+	try {
+		return new File(uri).size;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Get the pixel dimensions of an image
+ * @param {String} uri The image URI
+ * @returns {Promise<{ width: Number, height: Number }|null>} The dimensions, or null if the image can't be read
+ */
+function imageSize(uri) {
+	return new Promise(resolve => {
+		Image.getSize(uri, (width, height) => resolve({ width, height }), () => resolve(null));
+	});
+}
+
+/**
+ * Load everything the viewer shows about a photo
+ * @param {String} id The gallery photo ID (an asset ID, or a remote photo's ID)
+ * @param {Object[]} remotePhotos Photos synced from the backend
+ * @returns {Promise<Object|null>} { id, uri, creationTime, width, height, size, location, remote, imageId, isVideo, duration }
+ */
+async function loadDetails(id, remotePhotos) {
+	if (id.startsWith(REMOTE_PREFIX)) {
+		// Not loaded from the sync state yet
+		const remote = remotePhotos.find(photo => photo.id === id);
+		if (!remote) return null;
+
+		const dimensions = await imageSize(remote.uri);
+		return { ...remote, ...dimensions, size: fileSize(remote.uri), location: null, isVideo: false, duration: null };
+	}
+
+	const asset = await MediaLibrary.getAssetInfoAsync(id);
+	if (!asset) return null;
+
+	return {
+		id,
+		uri: asset.uri,
+		creationTime: asset.creationTime,
+		width: asset.width,
+		height: asset.height,
+		size: fileSize(asset.localUri || asset.uri),
+		location: asset.location || null,
+		remote: false,
+		imageId: null,
+		isVideo: asset.mediaType === MediaLibrary.MediaType.video,
+		duration: asset.duration || null,
+	};
+}
+
+/**
+ * Format a 0-1 fraction as a percentage
+ * @param {Number} value The fraction
+ * @returns {String} i.e. "42%"
+ */
+function percent(value) {
+	return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * A photo that can be pinched, double-tapped and dragged to zoom
+ * @param {Object} props
+ * @param {String} props.uri The image to show
+ * @param {Number} props.width Page width
+ * @param {Number} props.height Page height
+ * @param {Boolean} props.zoomed Whether the photo is zoomed in (it can then be dragged)
+ * @param {Function} props.onZoomChange Called with whether the photo is zoomed in
+ * @param {Boolean} props.sampling Whether a tap samples the color instead of zooming
+ * @param {Function} props.onSample Called with the tapped point, in page coordinates
+ * @param {Object} props.marker The sampled circle to draw: { x, y, size }, or null
+ */
+function ZoomableImage({ uri, width, height, zoomed, onZoomChange, sampling, onSample, marker }) {
+	const scale = useSharedValue(1);
+	const savedScale = useSharedValue(1);
+	const translateX = useSharedValue(0);
+	const translateY = useSharedValue(0);
+	const savedTranslateX = useSharedValue(0);
+	const savedTranslateY = useSharedValue(0);
+
+	// Keep the zoomed image covering the page
+	const clamp = (value, zoom, size) => {
+		'worklet';
+		const limit = (size * (zoom - 1)) / 2;
+		return Math.min(limit, Math.max(-limit, value));
+	};
+
+	const reset = () => {
+		'worklet';
+		scale.value = withTiming(1);
+		savedScale.value = 1;
+		translateX.value = withTiming(0);
+		translateY.value = withTiming(0);
+		savedTranslateX.value = 0;
+		savedTranslateY.value = 0;
+		runOnJS(onZoomChange)(false);
+	};
+
+	const pinch = Gesture.Pinch()
+		.onUpdate(event => {
+			scale.value = Math.min(MAX_SCALE, Math.max(MIN_SCALE * 0.8, savedScale.value * event.scale));
+		})
+		.onEnd(() => {
+			if (scale.value <= MIN_SCALE) {
+				reset();
+				return;
+			}
+			savedScale.value = scale.value;
+			translateX.value = withTiming(clamp(translateX.value, scale.value, width));
+			translateY.value = withTiming(clamp(translateY.value, scale.value, height));
+			savedTranslateX.value = clamp(translateX.value, scale.value, width);
+			savedTranslateY.value = clamp(translateY.value, scale.value, height);
+			runOnJS(onZoomChange)(true);
+		});
+
+	// Only drag while zoomed in, so swiping still changes photos
+	const pan = Gesture.Pan()
+		.enabled(zoomed)
+		.averageTouches(true)
+		.onUpdate(event => {
+			translateX.value = clamp(savedTranslateX.value + event.translationX, scale.value, width);
+			translateY.value = clamp(savedTranslateY.value + event.translationY, scale.value, height);
+		})
+		.onEnd(() => {
+			savedTranslateX.value = translateX.value;
+			savedTranslateY.value = translateY.value;
+		});
+
+	const doubleTap = Gesture.Tap()
+		.enabled(!sampling)
+		.numberOfTaps(2)
+		.onEnd(event => {
+			if (savedScale.value > MIN_SCALE) {
+				reset();
+				return;
+			}
+
+			// Zoom in on the tapped point
+			scale.value = withTiming(DOUBLE_TAP_SCALE);
+			savedScale.value = DOUBLE_TAP_SCALE;
+			savedTranslateX.value = clamp((width / 2 - event.x) * (DOUBLE_TAP_SCALE - 1), DOUBLE_TAP_SCALE, width);
+			savedTranslateY.value = clamp((height / 2 - event.y) * (DOUBLE_TAP_SCALE - 1), DOUBLE_TAP_SCALE, height);
+			translateX.value = withTiming(savedTranslateX.value);
+			translateY.value = withTiming(savedTranslateY.value);
+			runOnJS(onZoomChange)(true);
+		});
+
+	// Coordinates are relative to the untransformed photo, so zooming doesn't change them
+	const sampleTap = Gesture.Tap()
+		.enabled(sampling)
+		.onEnd(event => {
+			runOnJS(onSample)({ x: event.x, y: event.y });
+		});
+
+	const animatedStyle = useAnimatedStyle(() => ({
+		transform: [
+			{ translateX: translateX.value },
+			{ translateY: translateY.value },
+			{ scale: scale.value },
+		],
+	}));
+
+	return (
+		<GestureDetector gesture={Gesture.Simultaneous(pinch, pan, doubleTap, sampleTap)}>
+			<Animated.View style={[{ width, height }, animatedStyle]}>
+				<Image source={{ uri }} style={{ width: "100%", height: "100%" }} resizeMode="contain" />
+				{ marker && (
+					<View
+						pointerEvents="none"
+						style={[styles.sampleMarker, {
+							left: marker.x - marker.size / 2,
+							top: marker.y - marker.size / 2,
+							width: marker.size,
+							height: marker.size,
+							borderRadius: marker.size / 2,
+						}]}
+					/>
+				)}
+			</Animated.View>
+		</GestureDetector>
+	);
+}
+
+/**
+ * A video, played with the system controls
+ * @param {Object} props
+ * @param {String} props.uri The video to play
+ * @param {Number} props.width Page width
+ * @param {Number} props.height Page height
+ * @param {Boolean} props.active Whether its page is showing (it pauses once swiped away)
+ */
+function VideoPage({ uri, width, height, active }) {
+	const player = useVideoPlayer(uri);
+
+	useEffect(() => {
+		if (!active) player.pause();
+	}, [active, player]);
+
+	return <VideoView player={player} style={{ width, height }} contentFit="contain" nativeControls />;
+}
+
+/**
+ * One row of the details sheet
+ */
+function DetailRow({ label, value }) {
+	return (
+		<View style={styles.detailRow}>
+			<Text style={styles.detailLabel}>{label}</Text>
+			<Text style={styles.detailValue}>{value}</Text>
+		</View>
+	);
+}
+
+export default function Viewer() {
+	// id: the photo to open; ids: every photo's ID, in gallery order (JSON)
+	const params = useLocalSearchParams();
+
+	// Tab screens stay mounted, so start over for each photo opened from the gallery
+	return <PhotoPager key={`${params.id}-${params.ids}`} params={params} />;
+}
+
+/**
+ * Swipeable pages of photos, with a details sheet
+ * @param {Object} props
+ * @param {Object} props.params The route params: { id, ids }
+ */
+function PhotoPager({ params }) {
+	// Page router
+	const router = useRouter();
+
+	// Size of each page, measured once the screen is laid out
+	const [page, setPage] = useState(null);
+	const uploads = useUploadStates();
+	const remotePhotos = useRemotePhotos();
+
+	const ids = useMemo(() => JSON.parse(params.ids || "[]"), [params.ids]);
+	const initialIndex = Math.max(0, ids.indexOf(params.id));
+
+	const [index, setIndex] = useState(initialIndex);
+	const [zoomed, setZoomed] = useState(false);
+	const [showDetails, setShowDetails] = useState(false);
+	// Loaded photo details by ID
+	const [details, setDetails] = useState({});
+	// IDs whose details are loaded or loading
+	const requested = useRef(new Set());
+
+	// Tap-to-sample mode, its radius, and the last sample: { photoId, point, fit, rgb, detection }
+	const [sampling, setSampling] = useState(false);
+	const [sampleRadius, setSampleRadius] = useState(DEFAULT_SAMPLE_RADIUS);
+	const [sample, setSample] = useState(null);
+
+	// Load the current photo and its neighbours, so swiping shows them straight away
+	useEffect(() => {
+		const toLoad = [index - 1, index, index + 1]
+			.filter(i => i >= 0 && i < ids.length)
+			.map(i => ids[i])
+			.filter(id => !requested.current.has(id));
+
+		toLoad.forEach(async id => {
+			requested.current.add(id);
+			try {
+				const loaded = await loadDetails(id, remotePhotos);
+				if (loaded) setDetails(prev => ({ ...prev, [id]: loaded }));
+				// Try again once it is available
+				else requested.current.delete(id);
+			} catch (e) {
+				console.error(e);
+			}
+		});
+	}, [index, ids, remotePhotos]);
+
+	const current = details[ids[index]];
+	const currentSample = sample && current && sample.photoId === current.id ? sample : null;
+
+	// Average the color around a tapped point of a photo
+	const samplePoint = async (photo, point, radius) => {
+		try {
+			// The photo is letterboxed in the page ('contain'), so find its scale and offset
+			const size = await samplingSize(photo.uri);
+			const fit = Math.min(page.width / size.width, page.height / size.height);
+			const x = (point.x - (page.width - size.width * fit) / 2) / fit;
+			const y = (point.y - (page.height - size.height * fit) / 2) / fit;
+
+			// Tapped the letterbox
+			if (x < 0 || y < 0 || x >= size.width || y >= size.height) return;
+
+			const rgb = await samplePhotoColor(photo.uri, x, y, radius);
+			setSample({ photoId: photo.id, point, fit, rgb, detection: AdvancedColorDetector.detectColor(rgb) });
+		} catch (error) {
+			ToastAndroid.showWithGravity("Could not sample the photo: " + error.message, 2000, ToastAndroid.TOP);
+		}
+	};
+
+	// Sample the same point again with a new radius
+	const changeSampleRadius = (radius) => {
+		setSampleRadius(radius);
+		if (currentSample) samplePoint(current, currentSample.point, radius);
+	};
+
+	// Make the sampled color the Tracking screen's target
+	const trackSample = async () => {
+		await setSelectedColor(currentSample.rgb);
+		ToastAndroid.showWithGravity("Tracking " + currentSample.detection.primary, 1000, ToastAndroid.TOP);
+		router.navigate('/tracking');
+	};
+
+	// Describe where the photo is in the upload/sync process
+	const uploadStatus = () => {
+		if (current.remote) return `Synced from the backend (#${current.imageId})`;
+
+		const upload = uploads[current.id];
+		if (!upload) return "Not uploaded";
+		if (upload.status === UPLOAD_STATUS.UPLOADED) return `${UPLOAD_LABELS[upload.status]} (#${upload.imageId})`;
+		if (upload.status === UPLOAD_STATUS.FAILED) return `${UPLOAD_LABELS[upload.status]}: ${upload.error}`;
+		return UPLOAD_LABELS[upload.status];
+	};
+
+	return (
+		<PaperProvider>
+			<View
+				style={styles.container}
+				onLayout={(e) => setPage({ width: e.nativeEvent.layout.width, height: e.nativeEvent.layout.height })}
+			>
+				{ page && (
+				<FlatList
+					data={ids}
+					keyExtractor={id => id}
+					horizontal
+					pagingEnabled
+					scrollEnabled={!zoomed}
+					showsHorizontalScrollIndicator={false}
+					initialScrollIndex={initialIndex}
+					getItemLayout={(data, i) => ({ length: page.width, offset: page.width * i, index: i })}
+					windowSize={3}
+					onMomentumScrollEnd={(e) => {
+						setIndex(Math.round(e.nativeEvent.contentOffset.x / page.width));
+						setZoomed(false);
+					}}
+					renderItem={({ item }) => (
+						<View style={{ width: page.width, height: page.height }}>
+							{ details[item]?.isVideo && (
+								<VideoPage
+									uri={details[item].uri}
+									width={page.width}
+									height={page.height}
+									active={ids[index] === item}
+								/>
+							)}
+							{ details[item] && !details[item].isVideo && (
+								<ZoomableImage
+									uri={details[item].uri}
+									width={page.width}
+									height={page.height}
+									zoomed={zoomed}
+									onZoomChange={setZoomed}
+									sampling={sampling}
+									onSample={(point) => samplePoint(details[item], point, sampleRadius)}
+									marker={sample && sample.photoId === item ? {
+										x: sample.point.x,
+										y: sample.point.y,
+										size: Math.max(MIN_MARKER_SIZE, sampleRadius * 2 * sample.fit),
+									} : null}
+								/>
+							)}
+						</View>
+					)}
+				/>
+				)}
+
+				{/* Viewer Header */}
+				<View style={styles.header}>
+					<IconButton icon="arrow-left" iconColor="white" onPress={() => router.navigate('/gallery')}/>
+					<Text variant="titleMedium" style={{ color: 'white' }}>
+						{ids.length > 0 ? `${index + 1} / ${ids.length}` : ""}
+					</Text>
+					<View style={{ flexDirection: 'row' }}>
+						{/* Only photos can be sampled */}
+						{ !current?.isVideo && (
+							<IconButton
+								icon={sampling ? "eyedropper-variant" : "eyedropper"}
+								iconColor={sampling ? "#4FC3F7" : "white"}
+								onPress={() => {
+									setSampling(on => !on);
+									setShowDetails(false);
+								}}
+							/>
+						)}
+						<IconButton
+							icon={showDetails ? "information" : "information-outline"}
+							iconColor="white"
+							onPress={() => {
+								setShowDetails(show => !show);
+								setSampling(false);
+							}}
+						/>
+					</View>
+				</View>
+
+				{/* Color Sample Sheet */}
+				{ sampling && current && !current.isVideo && (
+					<View style={styles.detailsSheet}>
+						<View style={styles.sampleHeader}>
+							<View style={[styles.sampleSwatch, currentSample && { backgroundColor: `rgb(${currentSample.rgb.join(',')})` }]} />
+							<Text variant="titleMedium" style={{ color: 'white', flex: 1 }}>
+								{currentSample
+									? `${currentSample.detection.primary} (${currentSample.detection.detailedColor})`
+									: "Tap the photo to sample its color"}
+							</Text>
+						</View>
+
+						<View style={styles.radiusRow}>
+							<Text style={styles.detailLabel}>Radius</Text>
+							{SAMPLE_RADII.map(radius => (
+								<Chip
+									key={radius}
+									compact
+									selected={sampleRadius === radius}
+									showSelectedCheck={false}
+									mode={sampleRadius === radius ? "flat" : "outlined"}
+									onPress={() => changeSampleRadius(radius)}
+								>
+									{radius}px
+								</Chip>
+							))}
+						</View>
+
+						{ currentSample && (() => {
+							const { confidence, metrics: { hsv, hsl, lab, lch } } = currentSample.detection;
+							return (
+								<>
+									<DetailRow label="Confidence" value={percent(confidence)} />
+									<DetailRow label="RGB" value={currentSample.rgb.join(', ')} />
+									<DetailRow label="HSV" value={`${Math.round(hsv.h)}°, ${percent(hsv.s)}, ${percent(hsv.v)}`} />
+									<DetailRow label="HSL" value={`${Math.round(hsl.h)}°, ${percent(hsl.s)}, ${percent(hsl.l)}`} />
+									<DetailRow label="Lab" value={`${lab.l.toFixed(1)}, ${lab.a.toFixed(1)}, ${lab.b.toFixed(1)}`} />
+									<DetailRow label="LCH" value={`${lch.l.toFixed(1)}, ${lch.c.toFixed(1)}, ${Math.round(lch.h)}°`} />
+									<Button mode="contained" icon="crosshairs-gps" style={{ marginTop: 8 }} onPress={trackSample}>
+										Track This Color
+									</Button>
+								</>
+							);
+						})()}
+					</View>
+				)}
+
+				{/* Details Sheet */}
+				{ showDetails && current && (
+					<View style={styles.detailsSheet}>
+						<Text variant="titleMedium" style={{ color: 'white', marginBottom: 8 }}>
+							{current.title || "Details"}
+						</Text>
+						<DetailRow
+							label="Created"
+							value={current.creationTime ? new Date(current.creationTime).toLocaleString() : "Unknown"}
+						/>
+						<DetailRow
+							label="Dimensions"
+							value={current.width && current.height ? `${current.width} × ${current.height}` : "Unknown"}
+						/>
+						{ current.isVideo && (
+							<DetailRow label="Duration" value={formatDuration(current.duration)} />
+						)}
+						<DetailRow label="File size" value={formatBytes(current.size)} />
+						<DetailRow
+							label="Location"
+							value={current.location
+								? `${current.location.latitude.toFixed(5)}, ${current.location.longitude.toFixed(5)}`
+								: "Not available"}
+						/>
+						<DetailRow label="Upload" value={uploadStatus()} />
+					</View>
+				)}
+			</View>
+		</PaperProvider>
+	);
+}
+
+const styles = StyleSheet.create({
+	container: {
+		flex: 1,
+		backgroundColor: '#000',
+	},
+	header: {
+		position: 'absolute',
+		top: 0,
+		left: 0,
+		right: 0,
+		flexDirection: 'row',
+		justifyContent: 'space-between',
+		alignItems: 'center',
+		backgroundColor: 'rgba(0,0,0,0.4)',
+	},
+	detailsSheet: {
+		position: 'absolute',
+		left: 0,
+		right: 0,
+		bottom: 0,
+		padding: 16,
+		borderTopLeftRadius: 16,
+		borderTopRightRadius: 16,
+		backgroundColor: 'rgba(26,26,26,0.95)',
+	},
+	sampleHeader: {
+		flexDirection: 'row',
+		alignItems: 'center',
+		gap: 12,
+		marginBottom: 8,
+	},
+	sampleSwatch: {
+		width: 32,
+		height: 32,
+		borderRadius: 16,
+		borderWidth: 2,
+		borderColor: 'white',
+		backgroundColor: 'transparent',
+	},
+	sampleMarker: {
+		position: 'absolute',
+		borderWidth: 2,
+		borderColor: 'white',
+		backgroundColor: 'rgba(255,255,255,0.15)',
+	},
+	radiusRow: {
+		flexDirection: 'row',
+		alignItems: 'center',
+		gap: 6,
+		marginBottom: 8,
+	},
+	detailRow: {
+		flexDirection: 'row',
+		justifyContent: 'space-between',
+		paddingVertical: 4,
+		gap: 16,
+	},
+	detailLabel: {
+		color: '#AAAAAA',
+	},
+	detailValue: {
+		color: 'white',
+		flexShrink: 1,
+		textAlign: 'right',
+	},
+});
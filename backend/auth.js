@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const Buffer = require('buffer').Buffer;
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { isVisibleTo } = require('./storage/query');
+
+/**
+ * Token authentication for the images API.
+ *
+ * Devices POST /auth with { deviceId, deviceSecret, apiKey, team, teamKey } and get back a JWT,
+ * which they send on every other request as "Authorization: Bearer <token>".
+ * The first /auth for a deviceId registers it and returns a new deviceSecret; only its hash is stored,
+ * and every later /auth for that deviceId must present it, so no device can sign in as another.
+ * Devices that give the same team share their images; without one, a device only sees its own.
+ * Joining a team takes its teamKey: the first device to use a team name sets the key,
+ * and teammates must present the same one. Only the owner of an image or album may change or delete it,
+ * though teammates may change an image's tags.
+ *   API_KEY      Key a device must present to get a token (any key is accepted if unset)
+ *   ADMIN_KEY    Key that grants an admin token, which can access every device's images
+ *   JWT_SECRET   Signs the tokens (a random secret is used if unset, so tokens end on restart)
+ *   TOKEN_TTL    How long a token lasts (default: 30d)
+ */
+
+const API_KEY = process.env.API_KEY || null;
+const ADMIN_KEY = process.env.ADMIN_KEY || null;
+const TOKEN_TTL = process.env.TOKEN_TTL || '30d';
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.JWT_SECRET) console.warn('JWT_SECRET is not set, tokens will stop working when the server restarts');
+if (!API_KEY) console.warn('API_KEY is not set, any device can get a token');
+
+// Longest accepted device ID or team name
+const MAX_DEVICE_ID_LENGTH = 128;
+// Image fields teammates may change, as well as the owner (i.e. tagging a synced photo)
+const TEAM_EDITABLE_FIELDS = ['tags'];
+// Random bytes in a generated device secret
+const SECRET_BYTES = 32;
+// Shortest accepted team key
+const MIN_TEAM_KEY_LENGTH = 8;
+// Random bytes salting each stored hash
+const SALT_BYTES = 16;
+// Length of a scrypt hash, in bytes
+const HASH_BYTES = 32;
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Compare two secrets without leaking their contents through timing
+ * @param {String} a The presented key
+ * @param {String} b The configured key
+ * @returns {Boolean} Whether the keys match
+ */
+function keysMatch(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Hash a secret for storage (team keys are chosen by people, so the hash is salted and slow)
+ * @param {String} secret A device secret or team key
+ * @param {String} [salt] The salt, hex encoded (a new one if not given)
+ * @returns {Promise<String>} "<salt>:<hash>", stored in place of the secret
+ */
+async function hashSecret(secret, salt = crypto.randomBytes(SALT_BYTES).toString('hex')) {
+    const hash = await scrypt(secret, salt, HASH_BYTES);
+    return `${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a secret against a credential, claiming the credential's id for it if no one has yet
+ * @param {Object} storage The storage adapter holding the credentials
+ * @param {String} id The credential id, i.e. "device:<deviceId>"
+ * @param {String} secret The presented secret
+ * @returns {Promise<Boolean>} Whether the secret matches (or was just registered)
+ */
+async function claimOrVerify(storage, id, secret) {
+    const credential = await storage.getCredential(id);
+    if (!credential) {
+        if (await storage.addCredential({ id, hash: await hashSecret(secret), created_at: new Date() })) return true;
+        // Another request claimed it first
+        return claimOrVerify(storage, id, secret);
+    }
+
+    const [salt] = credential.hash.split(':');
+    return keysMatch(await hashSecret(secret, salt), credential.hash);
+}
+
+/**
+ * Check that a device may use a deviceId, registering the ID if no device has claimed it yet
+ * @param {Object} storage The storage adapter holding the credentials
+ * @param {String} deviceId The requested device ID
+ * @param {String|undefined} deviceSecret The secret the device presented
+ * @returns {Promise<{ deviceSecret: String|null, error: String|null }>} A new secret if the ID was just registered, or an error
+ */
+async function verifyDevice(storage, deviceId, deviceSecret) {
+    const id = `device:${deviceId}`;
+
+    // Unknown IDs are registered to the secret presented (the storage was reset), or to a new one
+    if (!deviceSecret) {
+        const secret = crypto.randomBytes(SECRET_BYTES).toString('hex');
+        if (await storage.addCredential({ id, hash: await hashSecret(secret), created_at: new Date() })) {
+            return { deviceSecret: secret, error: null };
+        }
+    } else if (await claimOrVerify(storage, id, deviceSecret)) {
+        return { deviceSecret: null, error: null };
+    }
+
+    return { deviceSecret: null, error: 'deviceId is registered to another device' };
+}
+
+/**
+ * Issue a token for a device
+ * @param {Object} body The POST /auth body: { deviceId, deviceSecret, apiKey, team, teamKey }
+ * @param {Object} storage The storage adapter holding the credentials
+ * @returns {Promise<{ token: String|null, auth: Object|null, deviceSecret: String|null, status: Number, error: String|null }>}
+ *     The token, its claims and the device's new secret (on registration only), or an error
+ */
+async function issueToken(body, storage) {
+    const deviceId = body?.deviceId;
+    if (typeof deviceId !== 'string' || deviceId.trim().length === 0 || deviceId.length > MAX_DEVICE_ID_LENGTH) {
+        return { token: null, auth: null, deviceSecret: null, status: 400, error: `deviceId must be a string of 1 to ${MAX_DEVICE_ID_LENGTH} characters.` };
+    }
+
+    const team = body.team ?? null;
+    if (team !== null && (typeof team !== 'string' || team.trim().length === 0 || team.length > MAX_DEVICE_ID_LENGTH)) {
+        return { token: null, auth: null, deviceSecret: null, status: 400, error: `team must be a string of 1 to ${MAX_DEVICE_ID_LENGTH} characters.` };
+    }
+
+    const teamKey = body.teamKey ?? null;
+    if (team !== null && (typeof teamKey !== 'string' || teamKey.length < MIN_TEAM_KEY_LENGTH)) {
+        return { token: null, auth: null, deviceSecret: null, status: 400, error: `teamKey must be a string of at least ${MIN_TEAM_KEY_LENGTH} characters.` };
+    }
+
+    const secret = body.deviceSecret ?? undefined;
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length === 0)) {
+        return { token: null, auth: null, deviceSecret: null, status: 400, error: 'deviceSecret must be a non-empty string.' };
+    }
+
+    const apiKey = body.apiKey || '';
+    const admin = ADMIN_KEY !== null && keysMatch(apiKey, ADMIN_KEY);
+    if (!admin && API_KEY !== null && !keysMatch(apiKey, API_KEY)) {
+        return { token: null, auth: null, deviceSecret: null, status: 401, error: 'Invalid API key' };
+    }
+
+    const auth = { deviceId: deviceId.trim(), team: team?.trim() ?? null, admin };
+
+    // Before the device is registered: a new device turned away here must be able to retry with the same ID
+    if (auth.team !== null && !await claimOrVerify(storage, `team:${auth.team}`, teamKey)) {
+        return { token: null, auth: null, deviceSecret: null, status: 403, error: 'Invalid team key' };
+    }
+
+    const { deviceSecret, error } = await verifyDevice(storage, auth.deviceId, secret);
+    if (error) return { token: null, auth: null, deviceSecret: null, status: 403, error };
+
+    const token = jwt.sign({ admin, team: auth.team }, JWT_SECRET, { subject: auth.deviceId, expiresIn: TOKEN_TTL });
+
+    return { token, auth, deviceSecret, status: 200, error: null };
+}
+
+/**
+ * Middleware rejecting requests without a valid bearer token.
+ * Sets req.auth to { deviceId, team, admin } for the route handlers.
+ */
+function requireAuth(req, res, next) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return res.status(401).send('Missing bearer token');
+
+    try {
+        const claims = jwt.verify(token, JWT_SECRET);
+        req.auth = { deviceId: claims.sub, team: claims.team ?? null, admin: claims.admin === true };
+        next();
+    } catch {
+        res.status(401).send('Invalid or expired token');
+    }
+}
+
+/**
+ * Check whether the caller may access an image
+ * @param {Object} auth The caller, from req.auth
+ * @param {Object} image The image document
+ * @returns {Boolean} Whether the caller owns the image, shares its team, or is an admin
+ */
+function canAccess(auth, image) {
+    return auth.admin || isVisibleTo(image, auth);
+}
+
+/**
+ * Check whether the caller may change or delete an image or album
+ * @param {Object} auth The caller, from req.auth
+ * @param {Object} image The image or album document
+ * @returns {Boolean} Whether the caller owns it or is an admin (teammates may only view it)
+ */
+function canModify(auth, image) {
+    return auth.admin || image.owner === auth.deviceId;
+}
+
+/**
+ * Check whether the caller may change some fields of an image
+ * @param {Object} auth The caller, from req.auth
+ * @param {Object} image The image document
+ * @param {String[]} fields The fields to change
+ * @returns {Boolean} Whether the caller may modify the image, or shares its team and only changes TEAM_EDITABLE_FIELDS
+ */
+function canEdit(auth, image, fields) {
+    if (canModify(auth, image)) return true;
+    return canAccess(auth, image) && fields.every(field => TEAM_EDITABLE_FIELDS.includes(field));
+}
+
+/**
+ * Build the storage filter limiting a listing to what the caller may access
+ * @param {Object} auth The caller, from req.auth
+ * @returns {{ deviceId: String, team: String|null }|undefined} The access filter, or undefined for admins
+ */
+function accessFilter(auth) {
+    return auth.admin ? undefined : { deviceId: auth.deviceId, team: auth.team };
+}
+
+module.exports = { issueToken, requireAuth, canAccess, canModify, canEdit, accessFilter };
@@ -0,0 +1,160 @@
+const sharp = require('sharp');
+const AdvancedColorDetector = require('../modules/AdvancedColorDetector');
+const ColorPalette = require('../modules/ColorPalette');
+
+/**
+ * Server-side color analysis of uploaded images
+ * Images are decoded at a small size, since the palette only needs the color distribution
+ */
+
+// Longest side images are scaled down to before analysis
+const ANALYSIS_SIZE = 64;
+// Decoded images kept in memory for color searches
+const PIXEL_CACHE_SIZE = 500;
+
+// Decoded pixels by image, oldest first
+const pixelCache = new Map();
+// ColorSpace is an ES module, so it is loaded on first use
+let colorSpace = null;
+
+/**
+ * Decode an image to raw RGB pixels
+ * @param {Buffer} buffer The encoded image (JPEG, PNG, WebP, ...)
+ * @param {Number} size The longest side of the decoded image
+ * @returns {Promise<{ data: Buffer, width: Number, height: Number, channels: Number }>} The pixels
+ */
+async function decodePixels(buffer, size = ANALYSIS_SIZE) {
+    const { data, info } = await sharp(buffer)
+        .rotate() // Apply EXIF orientation
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return { data, width: info.width, height: info.height, channels: info.channels };
+}
+
+/**
+ * Extract an image's dominant-color palette and color classes
+ * @param {Buffer} buffer The encoded image
+ * @returns {Promise<{ palette: Object[], colors: String[] }>} Palette entries from ColorPalette.extract,
+ *     and the color classes they cover, most common first
+ */
+async function analyzeColors(buffer) {
+    const { data, channels } = await decodePixels(buffer);
+    const palette = ColorPalette.extract(data, channels);
+    const colors = ColorPalette.colorClasses(palette).map(entry => entry.primary);
+
+    return { palette, colors };
+}
+
+/**
+ * Get an image's decoded pixels, decoding them on first use
+ * @param {String} key Identifies the image's bytes, i.e. its file key
+ * @param {Function} readBytes Async function returning the encoded image
+ * @returns {Promise<{ data: Buffer, channels: Number }>} The pixels
+ */
+async function cachedPixels(key, readBytes) {
+    if (pixelCache.has(key)) {
+        // Move to the back, so the least recently used image is evicted first
+        const pixels = pixelCache.get(key);
+        pixelCache.delete(key);
+        pixelCache.set(key, pixels);
+        return pixels;
+    }
+
+    const pixels = await decodePixels(await readBytes());
+    pixelCache.set(key, pixels);
+    if (pixelCache.size > PIXEL_CACHE_SIZE) pixelCache.delete(pixelCache.keys().next().value);
+
+    return pixels;
+}
+
+/**
+ * Load the ColorSpace bound tables shared with the Tracking screen
+ * @returns {Promise<typeof import('../modules/ColorSpace').default>} The ColorSpace class
+ */
+async function loadColorSpace() {
+    if (!colorSpace) colorSpace = (await import('../modules/ColorSpace.js')).default;
+    return colorSpace;
+}
+
+/**
+ * Get the ColorSpace bounds matching a target color, the same way the Tracking screen does
+ * @param {Number[]} rgb The target color [r, g, b]
+ * @param {String} format A ColorSpace.FORMAT value
+ * @returns {Promise<{ primary: String, bounds: Object[] }|null>} The color class and its { lower, upper } bounds,
+ *     or null if the format has no bounds for it
+ */
+async function boundsForColor(rgb, format) {
+    const ColorSpace = await loadColorSpace();
+    // ColorSpace.FORMAT.Lab's table is named LAB
+    const table = ColorSpace[format] || ColorSpace[format.toUpperCase()];
+    const { primary } = AdvancedColorDetector.detectColor(rgb, format);
+
+    if (!table || !table[primary]) return null;
+    return { primary, bounds: table[primary].map(boundStr => ColorSpace.stringBoundsToRGB(boundStr)) };
+}
+
+/**
+ * Convert an RGB pixel to an 8-bit color format, using OpenCV's value ranges
+ * (the ranges the ColorSpace bound tables are written for)
+ * @param {Number} r Red (0-255)
+ * @param {Number} g Green (0-255)
+ * @param {Number} b Blue (0-255)
+ * @param {String} format A ColorSpace.FORMAT value
+ * @returns {Number[]} The three channel values
+ */
+function toFormat(r, g, b, format) {
+    switch (format) {
+        case 'HSV': {
+            const hsv = AdvancedColorDetector.rgbToHSV(r, g, b);
+            return [hsv.h / 2, hsv.s * 255, hsv.v * 255];
+        }
+        case 'HLS': {
+            const hsl = AdvancedColorDetector.rgbToHSL(r, g, b);
+            return [hsl.h / 2, hsl.l * 255, hsl.s * 255];
+        }
+        case 'Lab': {
+            const lab = AdvancedColorDetector.rgbToLAB(r, g, b);
+            return [lab.l * 255 / 100, lab.a + 128, lab.b + 128];
+        }
+        case 'XYZ':
+            return [
+                Math.min(255, 0.412453 * r + 0.357580 * g + 0.180423 * b),
+                Math.min(255, 0.212671 * r + 0.715160 * g + 0.072169 * b),
+                Math.min(255, 0.019334 * r + 0.119193 * g + 0.950227 * b),
+            ];
+        case 'GRAY':
+            return [0.299 * r + 0.587 * g + 0.114 * b, 0, 0];
+        case 'BGR':
+        default:
+            return [b, g, r];
+    }
+}
+
+/**
+ * Measure how much of an image falls inside any of the given bounds
+ * @param {{ data: Buffer, channels: Number }} pixels The decoded image
+ * @param {Object[]} bounds { lower, upper } bounds in the given format
+ * @param {String} format A ColorSpace.FORMAT value
+ * @returns {Number} The fraction of matching pixels (0-1)
+ */
+function coverageOf({ data, channels }, bounds, format) {
+    let matching = 0;
+    let total = 0;
+
+    for (let i = 0; i + 2 < data.length; i += channels) {
+        const value = toFormat(data[i], data[i + 1], data[i + 2], format).map(Math.round);
+        total++;
+
+        const inside = bounds.some(({ lower, upper }) =>
+            value.every((channel, c) => channel >= lower[c] && channel <= upper[c])
+        );
+        if (inside) matching++;
+    }
+
+    return total === 0 ? 0 : matching / total;
+}
+
+module.exports = { decodePixels, analyzeColors, cachedPixels, boundsForColor, coverageOf, ANALYSIS_SIZE };
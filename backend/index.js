@@ -1,114 +1,852 @@
 require('dotenv').config(); // Load environment variables from .env
 const express = require('express');
-const { MongoClient, ServerApiVersion, Int32 } = require('mongodb');
+const fs = require('fs');
+const multer = require('multer');
+const sharp = require('sharp');
 const Buffer = require('buffer').Buffer;
+const { accessFilter, canAccess, canEdit, canModify, issueToken, requireAuth } = require('./auth');
+const { analyzeColors, boundsForColor, cachedPixels, coverageOf } = require('./colors');
+const { createStorage } = require('./storage');
+const { getVariant, parseTransform, purgeVariants, variantName } = require('./variants');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Use the forwarded protocol/host when running behind a tunnel (i.e. ngrok)
+app.set('trust proxy', true);
+
+// Largest accepted upload, in bytes
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 50 * 1024 * 1024;
+
 // Middleware to parse JSON request bodies
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
+// (legacy clients still POST images as base64 data-URLs)
+app.use(express.json({ limit: MAX_UPLOAD_BYTES }));
+app.use(express.urlencoded({ limit: MAX_UPLOAD_BYTES, extended: true }));
+
+// Parses multipart/form-data uploads, keeping the file in memory until it is stored
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
 
-// MongoDB connection URI from environment variables
-const uri = process.env.MONGODB_URI;
+// Document fields that can be set on upload and changed through PATCH /image/:id
+const EDITABLE_FIELDS = ['title', 'tags', 'color'];
 
-// Create a MongoClient with a MongoClientOptions object to set the Stable API version
-const client = new MongoClient(uri, {
-    serverApi: {
-        version: ServerApiVersion.v1,
-        strict: true,
-        deprecationErrors: true,
-    },
+// Album fields that can be set through POST /albums and PATCH /album/:id
+const ALBUM_FIELDS = ['name', 'image_ids'];
+const MAX_ALBUM_NAME_LENGTH = 128;
+
+// Content type of each image format sharp can decode that uploads may use (SVG is not accepted)
+const UPLOAD_TYPES = Object.freeze({
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    gif: 'image/gif',
+    tiff: 'image/tiff',
+});
+// HEIF files, by compression
+const HEIF_TYPES = Object.freeze({
+    hevc: 'image/heic',
+    av1: 'image/avif',
 });
 
-async function run() {
+// Fields GET /images can be sorted by
+const SORT_FIELDS = ['image_id', 'created_at', 'updated_at'];
+// Page sizes for GET /images
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Color formats GET /images/search accepts (ColorSpace.FORMAT values)
+const SEARCH_FORMATS = ['HSV', 'HLS', 'BGR', 'Lab', 'XYZ', 'GRAY'];
+// Used when ?minCoverage= is not given
+const DEFAULT_MIN_COVERAGE = 0.05;
+
+// Where image documents are kept, chosen by STORAGE_BACKEND (mongo | fs | memory)
+const storage = createStorage();
+// Set once storage.connect() has succeeded
+let storageReady = false;
+
+/**
+ * Parse an image ID from a route parameter or request body
+ * @param {*} value The raw ID value
+ * @returns {Number|null} The integer ID, or null if it is not a valid ID
+ */
+function parseImageId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Build the absolute URL that serves an image's data
+ * @param {import('express').Request} req The current request
+ * @param {Number} image_id The image to link to
+ * @returns {String} The image URL
+ */
+function imageUrl(req, image_id) {
+    return `${req.protocol}://${req.get('host')}/image/${image_id}`;
+}
+
+/**
+ * Parse a date query parameter (ISO string or epoch milliseconds)
+ * @param {String} value The raw query value
+ * @returns {Date|null} The date, or null if it is not valid
+ */
+function parseDate(value) {
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate the pagination, sorting and filter parameters of GET /images
+ * @param {Object} params The request query
+ * @returns {{ query: import('./storage').ListQuery, error: String|null }} The storage query, or an error message
+ */
+function parseListQuery(params) {
+    const limit = params.limit === undefined ? DEFAULT_PAGE_SIZE : Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { query: null, error: `limit must be an integer from 1 to ${MAX_PAGE_SIZE}.` };
+    }
+
+    const offset = params.offset === undefined ? 0 : Number(params.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { query: null, error: 'offset must be a non-negative integer.' };
+    }
+
+    const sortField = params.sort || 'image_id';
+    if (!SORT_FIELDS.includes(sortField)) {
+        return { query: null, error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+    }
+
+    const order = params.order || 'desc';
+    if (!['asc', 'desc'].includes(order)) {
+        return { query: null, error: 'order must be "asc" or "desc".' };
+    }
+
+    const filter = {};
+
+    // Creation date range
+    if (params.from !== undefined) {
+        filter.from = parseDate(params.from);
+        if (!filter.from) return { query: null, error: 'from must be a valid date.' };
+    }
+    if (params.to !== undefined) {
+        filter.to = parseDate(params.to);
+        if (!filter.to) return { query: null, error: 'to must be a valid date.' };
+    }
+
+    // Images must have every listed tag
+    if (params.tags) {
+        const tags = String(params.tags).split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+        if (tags.length > 0) filter.tags = tags;
+    }
+
+    // Color class from the palette or the client's color info, i.e. ORANGE
+    if (params.color) {
+        filter.color = String(params.color).toUpperCase();
+    }
+
+    return { query: { filter, sort: { field: sortField, order }, limit, offset }, error: null };
+}
+
+/**
+ * Validate the parameters of GET /images/search
+ * @param {Object} params The request query
+ * @returns {{ search: Object, error: String|null }} { rgb, format, minCoverage, limit }, or an error message
+ */
+function parseSearchQuery(params) {
+    const rgb = String(params.color || '').split(',').map(value => Number(value.trim()));
+    if (rgb.length !== 3 || !rgb.every(value => Number.isInteger(value) && value >= 0 && value <= 255)) {
+        return { search: null, error: 'color must be "r,g,b" with values from 0 to 255.' };
+    }
+
+    const format = params.format || 'HSV';
+    if (!SEARCH_FORMATS.includes(format)) {
+        return { search: null, error: `format must be one of: ${SEARCH_FORMATS.join(', ')}` };
+    }
+
+    const minCoverage = params.minCoverage === undefined ? DEFAULT_MIN_COVERAGE : Number(params.minCoverage);
+    if (isNaN(minCoverage) || minCoverage < 0 || minCoverage > 1) {
+        return { search: null, error: 'minCoverage must be a number from 0 to 1.' };
+    }
+
+    const limit = params.limit === undefined ? DEFAULT_PAGE_SIZE : Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { search: null, error: `limit must be an integer from 1 to ${MAX_PAGE_SIZE}.` };
+    }
+
+    return { search: { rgb, format, minCoverage, limit }, error: null };
+}
+
+/**
+ * Validate the metadata fields of an upload or PATCH request
+ * @param {Object} body The request body
+ * @param {Boolean} [allowEmpty] Whether a body without any metadata is valid
+ * @returns {{ update: Object, error: String|null }} The fields to set, or an error message
+ */
+function parseMetadata(body, allowEmpty = false) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { update: null, error: 'Request body must be an object.' };
+    }
+
+    const unknown = Object.keys(body).filter(key => !EDITABLE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        return { update: null, error: `Unsupported fields: ${unknown.join(', ')}` };
+    }
+
+    const update = {};
+
+    if ('title' in body) {
+        if (typeof body.title !== 'string') return { update: null, error: 'title must be a string.' };
+        update.title = body.title.trim();
+    }
+
+    if ('tags' in body) {
+        if (!Array.isArray(body.tags) || !body.tags.every(tag => typeof tag === 'string')) {
+            return { update: null, error: 'tags must be an array of strings.' };
+        }
+        // Drop blanks and duplicates
+        update.tags = [...new Set(body.tags.map(tag => tag.trim()).filter(tag => tag.length > 0))];
+    }
+
+    if ('color' in body) {
+        if (body.color !== null && (typeof body.color !== 'object' || Array.isArray(body.color))) {
+            return { update: null, error: 'color must be an object or null.' };
+        }
+        update.color = body.color;
+    }
+
+    if (Object.keys(update).length === 0 && !allowEmpty) {
+        return { update: null, error: `Request body must contain one of: ${EDITABLE_FIELDS.join(', ')}` };
+    }
+
+    return { update, error: null };
+}
+
+/**
+ * Validate the fields of an album POST or PATCH request
+ * @param {Object} body The request body
+ * @param {Boolean} [creating] Whether the album is being created, which needs a name
+ * @returns {{ update: Object, error: String|null }} The fields to set, or an error message
+ */
+function parseAlbum(body, creating = false) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { update: null, error: 'Request body must be an object.' };
+    }
+
+    const unknown = Object.keys(body).filter(key => !ALBUM_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        return { update: null, error: `Unsupported fields: ${unknown.join(', ')}` };
+    }
+
+    const update = {};
+
+    if ('name' in body) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (name.length === 0 || name.length > MAX_ALBUM_NAME_LENGTH) {
+            return { update: null, error: `name must be a string of 1 to ${MAX_ALBUM_NAME_LENGTH} characters.` };
+        }
+        update.name = name;
+    } else if (creating) {
+        return { update: null, error: 'name is required.' };
+    }
+
+    if ('image_ids' in body) {
+        const image_ids = Array.isArray(body.image_ids) ? body.image_ids.map(parseImageId) : [null];
+        if (image_ids.includes(null)) return { update: null, error: 'image_ids must be an array of image IDs.' };
+        // Drop duplicates
+        update.image_ids = [...new Set(image_ids)];
+    }
+
+    if (Object.keys(update).length === 0) {
+        return { update: null, error: `Request body must contain one of: ${ALBUM_FIELDS.join(', ')}` };
+    }
+
+    return { update, error: null };
+}
+
+/**
+ * Convert text form fields to metadata values:
+ * tags as a JSON array or comma-separated list, color as JSON
+ * @param {Object} fields The form fields or query parameters
+ * @returns {{ fields: Object, error: String|null }} The converted fields, or an error message
+ */
+function parseFormFields(fields) {
+    const parsed = { ...fields };
+
+    if (typeof parsed.tags === 'string') {
+        try {
+            parsed.tags = parsed.tags.trim().startsWith('[') ? JSON.parse(parsed.tags) : parsed.tags.split(',');
+        } catch {
+            return { fields: null, error: 'tags must be a JSON array or a comma-separated list.' };
+        }
+    }
+
+    if (typeof parsed.color === 'string') {
+        try {
+            parsed.color = JSON.parse(parsed.color);
+        } catch {
+            return { fields: null, error: 'color must be JSON.' };
+        }
+    }
+
+    return { fields: parsed, error: null };
+}
+
+/**
+ * Decode a base64 image, with or without a data-URL prefix
+ * @param {String} value i.e. "data:image/png;base64,iVBOR..."
+ * @returns {{ buffer: Buffer, contentType: String }} The image bytes and their type
+ */
+function decodeDataUrl(value) {
+    const imageSplit = value.includes(',') ? value.split(',')[1] : value;
+
+    let contentType = 'image/jpeg'; // default displayable type
     try {
-        // Connect the client to the server (optional starting in v4.7)
-        await client.connect();
-        // Send a ping to confirm a successful connection
-        await client.db('admin').command({ ping: 1 });
-        console.log('Pinged your deployment. You successfully connected to MongoDB!');
-
-        const database = client.db('MyDB');
-        const collection = database.collection('images');
-
-        async function getNextId() {
-            const last = await collection.find().sort({ image_id: -1 }).limit(1).toArray();
-            return last.length > 0 ? last[0].image_id + 1 : 1;
+        if (value.includes(',')) {
+            contentType = value.split(';')[0].split(':')[1] || contentType;
         }
+    } catch (e) {}
 
-        // GET endpoint to retrieve all documents
-        app.get('/images', async (req, res) => {
-            try {
-                const items = await collection.find({}).toArray();
-                res.status(200).json(items);
-            } catch (error) {
-                console.error('Error retrieving items:', error);
-                res.status(500).send('Error retrieving items');
-            }
+    return { buffer: Buffer.from(imageSplit, 'base64'), contentType };
+}
+
+/**
+ * Find the real type of uploaded bytes, whatever type the client declared
+ * @param {Buffer} buffer The uploaded bytes
+ * @returns {Promise<String|null>} The image's content type, or null if they aren't a supported image
+ */
+async function detectImageType(buffer) {
+    try {
+        const { format, compression } = await sharp(buffer).metadata();
+        return format === 'heif' ? HEIF_TYPES[compression] || null : UPLOAD_TYPES[format] || null;
+    } catch {
+        // Not an image sharp can decode
+        return null;
+    }
+}
+
+/**
+ * Read the uploaded image and its metadata from any supported POST body:
+ *   multipart/form-data   An "image" file plus metadata fields
+ *   image/*               The raw bytes, with metadata in the query string
+ *   application/json      A base64 data-URL "image" plus metadata (legacy)
+ * @param {import('express').Request} req The upload request
+ * @returns {{ file: Object, fields: Object, error: String|null }} The image and metadata, or an error message
+ */
+function readUpload(req) {
+    let file, fields;
+
+    if (req.file) {
+        file = { buffer: req.file.buffer, contentType: req.file.mimetype, filename: req.file.originalname };
+        fields = req.body;
+    } else if (Buffer.isBuffer(req.body)) {
+        const { filename, ...query } = req.query;
+        file = { buffer: req.body, contentType: req.get('Content-Type'), filename };
+        fields = query;
+    } else if (typeof req.body?.image === 'string') {
+        const { image, ...rest } = req.body;
+        file = { ...decodeDataUrl(image), filename: null };
+        fields = rest;
+    } else {
+        return { file: null, fields: null, error: 'No image was uploaded.' };
+    }
+
+    if (file.buffer.length === 0) return { file: null, fields: null, error: 'The uploaded image is empty.' };
+
+    const form = parseFormFields(fields || {});
+    if (form.error) return { file: null, fields: null, error: form.error };
+
+    const { update, error } = parseMetadata(form.fields, true);
+    if (error) return { file: null, fields: null, error };
+
+    return { file, fields: update, error: null };
+}
+
+/**
+ * Read all of an image's original bytes
+ * @param {Object} image The image document
+ * @returns {Promise<Buffer>} The image bytes
+ */
+async function readImageBytes(image) {
+    // Legacy records keep the base64 data in the document
+    if (!image.file) return decodeDataUrl(image.image).buffer;
+
+    const stream = await storage.openFile(image.file.key);
+    if (!stream) throw new Error(`File ${image.file.key} of image ${image.image_id} is missing`);
+
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Get an image the caller is allowed to access
+ * @param {import('express').Request} req The current request
+ * @param {Number} image_id The image to get
+ * @returns {Promise<Object|null>} The image document, or null if it is missing or owned by another device
+ */
+async function getOwnedImage(req, image_id) {
+    const image = await storage.get(image_id);
+    return image && canAccess(req.auth, image) ? image : null;
+}
+
+/**
+ * Get an album the caller is allowed to access
+ * @param {import('express').Request} req The current request
+ * @param {Number} album_id The album to get
+ * @returns {Promise<Object|null>} The album, or null if it is missing or belongs to another team
+ */
+async function getOwnedAlbum(req, album_id) {
+    const album = await storage.getAlbum(album_id);
+    return album && canAccess(req.auth, album) ? album : null;
+}
+
+// POST endpoint to get a token for a device: { "deviceId": "...", "deviceSecret": "...", "apiKey": "...", "team": "...", "teamKey": "..." }
+// The first request for a deviceId also returns its deviceSecret, which the device must keep and send from then on
+app.post('/auth', async (req, res) => {
+    try {
+        // Device secrets and team keys are checked against the storage
+        if (!storageReady) return res.status(503).send('Storage is not available');
+
+        const { token, auth, deviceSecret, status, error } = await issueToken(req.body, storage);
+        if (error) return res.status(status).send(error);
+
+        const body = { token, deviceId: auth.deviceId, team: auth.team, admin: auth.admin };
+        if (deviceSecret) body.deviceSecret = deviceSecret;
+        res.status(200).json(body);
+    } catch (error) {
+        console.error('Error issuing token:', error);
+        res.status(500).send('Error issuing token');
+    }
+});
+
+// Every route below needs a token
+app.use(requireAuth);
+
+// Reject requests until the storage is connected
+app.use((req, res, next) => {
+    if (!storageReady) return res.status(503).send('Storage is not available');
+    next();
+});
+
+// GET endpoint to retrieve a page of documents, without their image data
+// Query: ?limit=&offset=&sort=image_id|created_at|updated_at&order=asc|desc&from=&to=&tags=a,b&color=RED
+app.get('/images', async (req, res) => {
+    try {
+        const { query, error } = parseListQuery(req.query);
+        if (error) return res.status(400).send(error);
+
+        // Only admins see images outside the device's team
+        query.filter.access = accessFilter(req.auth);
+
+        const { items, total } = await storage.list(query);
+
+        const nextOffset = query.offset + items.length;
+
+        res.status(200).json({
+            items: items.map(item => ({ ...item, url: imageUrl(req, item.image_id) })),
+            total,
+            limit: query.limit,
+            offset: query.offset,
+            nextOffset: nextOffset < total ? nextOffset : null,
         });
+    } catch (error) {
+        console.error('Error retrieving items:', error);
+        res.status(500).send('Error retrieving items');
+    }
+});
 
-        // GET endpoint to retrieve all documents
-        app.get('/image/:id', async (req, res) => {
-            try {
-                const image_id = req.params.id;
-                const image = await collection.findOne({ image_id: new Int32(image_id) });
+// GET endpoint to find images containing a target color, ranked by pixel coverage
+// Query: ?color=r,g,b&format=HSV&minCoverage=0.05&limit=
+app.get('/images/search', async (req, res) => {
+    try {
+        const { search, error } = parseSearchQuery(req.query);
+        if (error) return res.status(400).send(error);
+
+        // The same color range the Tracking screen filters by
+        const target = await boundsForColor(search.rgb, search.format);
+        if (!target) return res.status(400).send(`No ${search.format} bounds for color ${search.rgb.join(',')}`);
 
-                if (!image || !image.image) return res.status(404).send('Image not found');
+        // Only admins search images outside the device's team
+        const filter = { access: accessFilter(req.auth) };
+        const matches = [];
 
-                const imageSplit = image.image.includes(',') ? image.image.split(',')[1] : image.image;
+        for (let offset = 0; ; offset += MAX_PAGE_SIZE) {
+            const { items, total } = await storage.list({
+                filter,
+                sort: { field: 'image_id', order: 'desc' },
+                limit: MAX_PAGE_SIZE,
+                offset,
+            });
 
-                let contentType = 'image/jpeg'; // default displayable type
+            for (const item of items) {
                 try {
-                    if (image.image.includes(',')) {
-                        contentType = image.image.split(';')[0].split(':')[1] || contentType;
+                    const pixels = await cachedPixels(
+                        `${item.image_id}-${item.file?.key || 'legacy'}`,
+                        async () => readImageBytes(await storage.get(item.image_id))
+                    );
+                    const coverage = coverageOf(pixels, target.bounds, search.format);
+
+                    if (coverage >= search.minCoverage) {
+                        matches.push({ ...item, coverage: Math.round(coverage * 10000) / 10000, url: imageUrl(req, item.image_id) });
                     }
-                } catch (e) {}
+                } catch (error) {
+                    console.warn(`Could not search image ${item.image_id}:`, error.message);
+                }
+            }
 
-                const imgBuffer = Buffer.from(imageSplit, 'base64');
+            if (offset + items.length >= total || items.length === 0) break;
+        }
 
-                res.writeHead(200, {
-                    'Content-Type': contentType,
-                    'Content-Length': imgBuffer.length,
-                    'Content-Disposition': 'inline', // ensures browser displays the image
-                });
+        matches.sort((a, b) => b.coverage - a.coverage);
 
-                res.end(imgBuffer);
-            } catch (error) {
-                console.error('Error retrieving image:', error);
-                res.status(500).send('Error retrieving image');
-            }
+        res.status(200).json({
+            color: { rgb: search.rgb, format: search.format, primary: target.primary, bounds: target.bounds },
+            items: matches.slice(0, search.limit),
+            total: matches.length,
         });
+    } catch (error) {
+        console.error('Error searching images:', error);
+        res.status(500).send('Error searching images');
+    }
+});
 
-        // POST endpoint to insert a new document
-        app.post('/images', async (req, res) => {
-            try {
-                console.log('Requested a post on images: ', req.body);
-                let newItem = req.body;
-                if (!newItem || Object.keys(newItem).length === 0) {
-                    return res.status(400).send('Request body cannot be empty.');
-                }
+// GET endpoint to sync a device's gallery: documents added or edited, and IDs deleted, since the last sync
+// Query: ?since= (the `until` of the previous response; omit for a full sync)
+app.get('/images/changes', async (req, res) => {
+    try {
+        const since = req.query.since === undefined ? new Date(0) : parseDate(req.query.since);
+        if (!since) return res.status(400).send('since must be a date');
 
-                //get next id from db
-                let new_id = await getNextId();
+        // Taken before reading, so changes made while this runs are picked up again by the next sync (since is inclusive)
+        const until = new Date();
+        const filter = { access: accessFilter(req.auth), updatedSince: since };
+        const changed = [];
 
-                newItem = { ...newItem, image_id: new_id };
-                const result = await collection.insertOne(newItem);
-                res.status(201).json({ message: 'Item added successfully', insertedId: result.insertedId, image_id: new_id, newItem });
-            } catch (error) {
-                console.error('Error adding item:', error);
-                res.status(500).send('Error adding item');
-            }
+        for (let offset = 0; ; offset += MAX_PAGE_SIZE) {
+            const { items, total } = await storage.list({
+                filter,
+                sort: { field: 'updated_at', order: 'asc' },
+                limit: MAX_PAGE_SIZE,
+                offset,
+            });
+            changed.push(...items);
+
+            if (offset + items.length >= total || items.length === 0) break;
+        }
+
+        const deleted = await storage.listDeleted({ since, access: filter.access });
+
+        res.status(200).json({
+            items: changed.map(item => ({ ...item, url: imageUrl(req, item.image_id) })),
+            deleted,
+            until: until.toISOString(),
+        });
+    } catch (error) {
+        console.error('Error retrieving changes:', error);
+        res.status(500).send('Error retrieving changes');
+    }
+});
+
+// GET endpoint to retrieve the data of a single image
+// Optional transform: ?w=&h=&fit=cover|contain&format=webp|jpeg|png&quality=
+app.get('/image/:id', async (req, res) => {
+    try {
+        const image_id = parseImageId(req.params.id);
+        if (image_id === null) return res.status(400).send('Invalid image ID');
+
+        const { transform, error } = parseTransform(req.query);
+        if (error) return res.status(400).send(error);
+
+        const image = await getOwnedImage(req, image_id);
+
+        if (!image || (!image.file && !image.image)) return res.status(404).send('Image not found');
+
+        // Image bytes never change after upload, so the validators only depend on the ID and transform
+        const variant = transform ? variantName(transform) : 'original';
+        res.set({
+            'ETag': `"${image_id}-${image.file?.key || 'legacy'}-${variant}"`,
+            'Cache-Control': 'private, max-age=31536000, immutable',
+        });
+        if (image.created_at) res.set('Last-Modified', new Date(image.created_at).toUTCString());
+
+        // The client's cached copy is still valid (If-None-Match / If-Modified-Since)
+        if (req.fresh) return res.status(304).end();
+
+        // Resized/re-encoded copy, cached on disk
+        if (transform) {
+            const { file, contentType, size } = await getVariant(image, () => readImageBytes(image), transform);
+
+            res.writeHead(200, {
+                'Content-Type': contentType,
+                'Content-Length': size,
+                'Content-Disposition': 'inline', // ensures browser displays the image
+            });
+
+            return fs.createReadStream(file).pipe(res);
+        }
+
+        // Stream uploads from file storage
+        if (image.file) {
+            const stream = await storage.openFile(image.file.key);
+            if (!stream) return res.status(404).send('Image not found');
+
+            res.writeHead(200, {
+                'Content-Type': image.file.contentType,
+                'Content-Length': image.file.length,
+                'Content-Disposition': 'inline', // ensures browser displays the image
+            });
+
+            stream.on('error', (error) => {
+                console.error('Error streaming image:', error);
+                res.destroy();
+            });
+            return stream.pipe(res);
+        }
+
+        // Legacy records keep the base64 data in the document
+        if (!image.image) return res.status(404).send('Image not found');
+
+        const { buffer: imgBuffer, contentType } = decodeDataUrl(image.image);
+
+        res.writeHead(200, {
+            'Content-Type': contentType,
+            'Content-Length': imgBuffer.length,
+            'Content-Disposition': 'inline', // ensures browser displays the image
         });
 
-        // Start the Express server
-        app.listen(port, () => {
-            console.log(`Server listening at http://localhost:${port}`);
+        res.end(imgBuffer);
+    } catch (error) {
+        console.error('Error retrieving image:', error);
+        res.status(500).send('Error retrieving image');
+    }
+});
+
+// POST endpoint to upload a new image (multipart/form-data, image/* or legacy JSON)
+app.post('/images', upload.single('image'), express.raw({ type: 'image/*', limit: MAX_UPLOAD_BYTES }), async (req, res) => {
+    let stored = null;
+    try {
+        const { file, fields, error } = readUpload(req);
+        if (error) return res.status(400).send(error);
+
+        // Trust the bytes, not the declared type (legacy JSON uploads default to image/jpeg)
+        file.contentType = await detectImageType(file.buffer);
+        if (!file.contentType) {
+            return res.status(415).send('Only image uploads are supported.');
+        }
+
+        console.log(`Requested a post on images: ${file.contentType}, ${file.buffer.length} bytes`);
+
+        // Dominant colors, so images can be searched by color without downloading them
+        let analysis = {};
+        try {
+            analysis = await analyzeColors(file.buffer);
+        } catch (error) {
+            console.warn('Could not analyze image colors:', error.message);
+        }
+
+        // Keep the bytes out of the document
+        stored = await storage.saveFile(file.buffer, file);
+
+        // Insert under the next free ID
+        const created_at = new Date();
+        const newItem = await storage.insert({
+            ...fields,
+            ...analysis,
+            file: stored,
+            owner: req.auth.deviceId,
+            team: req.auth.team,
+            created_at,
+            updated_at: created_at,
         });
-    } finally {
-        // Ensures that the client will close when you finish/error
-        // await client.close(); // You might want to keep the connection open for the duration of the server
+        res.status(201).json({
+            message: 'Item added successfully',
+            insertedId: newItem._id,
+            image_id: newItem.image_id,
+            newItem: { ...newItem, url: imageUrl(req, newItem.image_id) },
+        });
+    } catch (error) {
+        console.error('Error adding item:', error);
+        // Don't leave orphaned bytes behind
+        if (stored) await storage.deleteFile(stored.key).catch(() => {});
+        res.status(500).send('Error adding item');
     }
-}
-run().catch(console.dir);
+});
+
+// PATCH endpoint to edit the metadata of a document
+app.patch('/image/:id', async (req, res) => {
+    try {
+        const image_id = parseImageId(req.params.id);
+        if (image_id === null) return res.status(400).send('Invalid image ID');
+
+        const { update, error } = parseMetadata(req.body);
+        if (error) return res.status(400).send(error);
+
+        const image = await getOwnedImage(req, image_id);
+        if (!image) return res.status(404).send('Image not found');
+        // Teammates can tag the image, but not change anything else
+        if (!canEdit(req.auth, image, Object.keys(update))) return res.status(403).send('Only the owner can edit this image');
+
+        const updated = await storage.update(image_id, { ...update, updated_at: new Date() });
+
+        if (!updated) return res.status(404).send('Image not found');
+
+        res.status(200).json(updated);
+    } catch (error) {
+        console.error('Error updating image:', error);
+        res.status(500).send('Error updating image');
+    }
+});
+
+// DELETE endpoint to remove a single document
+app.delete('/image/:id', async (req, res) => {
+    try {
+        const image_id = parseImageId(req.params.id);
+        if (image_id === null) return res.status(400).send('Invalid image ID');
+
+        const image = await getOwnedImage(req, image_id);
+        if (!image) return res.status(404).send('Image not found');
+        if (!canModify(req.auth, image)) return res.status(403).send('Only the owner can delete this image');
+
+        const deleted = await storage.delete([image_id]);
+
+        if (deleted.length === 0) return res.status(404).send('Image not found');
+
+        await purgeVariants([image]);
+
+        res.status(200).json({ message: 'Image deleted successfully', image_id });
+    } catch (error) {
+        console.error('Error deleting image:', error);
+        res.status(500).send('Error deleting image');
+    }
+});
+
+// DELETE endpoint to remove many documents: { "ids": [1, 2, 3] }
+app.delete('/images', async (req, res) => {
+    try {
+        const ids = req.body?.ids;
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).send('Request body must contain a non-empty "ids" array.');
+        }
+
+        const image_ids = ids.map(parseImageId);
+        if (image_ids.includes(null)) return res.status(400).send('Invalid image ID');
+
+        // Other devices' images are reported as not found, teammates' included
+        const owned = [];
+        for (const image_id of image_ids) {
+            const image = await getOwnedImage(req, image_id);
+            if (image && canModify(req.auth, image)) owned.push(image);
+        }
+
+        const deleted = owned.length > 0 ? await storage.delete(owned.map(image => image.image_id)) : [];
+        const notFound = image_ids.filter(id => !deleted.includes(id));
+
+        if (deleted.length === 0) return res.status(404).json({ message: 'No images found', notFound });
+
+        await purgeVariants(owned.filter(image => deleted.includes(image.image_id)));
+
+        res.status(200).json({ message: 'Images deleted successfully', deletedCount: deleted.length, deleted, notFound });
+    } catch (error) {
+        console.error('Error deleting images:', error);
+        res.status(500).send('Error deleting images');
+    }
+});
+
+// GET endpoint to list the albums of the device and its team
+app.get('/albums', async (req, res) => {
+    try {
+        const items = await storage.listAlbums(accessFilter(req.auth));
+        res.status(200).json({ items });
+    } catch (error) {
+        console.error('Error retrieving albums:', error);
+        res.status(500).send('Error retrieving albums');
+    }
+});
+
+// POST endpoint to create an album, shared with the device's team: { "name": "...", "image_ids": [1, 2] }
+app.post('/albums', async (req, res) => {
+    try {
+        const { update, error } = parseAlbum(req.body, true);
+        if (error) return res.status(400).send(error);
+
+        const created_at = new Date();
+        const album = await storage.insertAlbum({
+            image_ids: [],
+            ...update,
+            owner: req.auth.deviceId,
+            team: req.auth.team,
+            created_at,
+            updated_at: created_at,
+        });
+
+        res.status(201).json(album);
+    } catch (error) {
+        console.error('Error adding album:', error);
+        res.status(500).send('Error adding album');
+    }
+});
+
+// PATCH endpoint to rename an album or replace its images: { "name": "...", "image_ids": [1, 2] }
+app.patch('/album/:id', async (req, res) => {
+    try {
+        const album_id = parseImageId(req.params.id);
+        if (album_id === null) return res.status(400).send('Invalid album ID');
+
+        const { update, error } = parseAlbum(req.body);
+        if (error) return res.status(400).send(error);
+
+        const album = await getOwnedAlbum(req, album_id);
+        if (!album) return res.status(404).send('Album not found');
+        // Teammates can see the album, but only its owner can change it, as with images
+        if (!canModify(req.auth, album)) return res.status(403).send('Only the owner can edit this album');
+
+        const updated = await storage.updateAlbum(album_id, { ...update, updated_at: new Date() });
+
+        if (!updated) return res.status(404).send('Album not found');
+
+        res.status(200).json(updated);
+    } catch (error) {
+        console.error('Error updating album:', error);
+        res.status(500).send('Error updating album');
+    }
+});
+
+// DELETE endpoint to remove an album (its images are kept)
+app.delete('/album/:id', async (req, res) => {
+    try {
+        const album_id = parseImageId(req.params.id);
+        if (album_id === null) return res.status(400).send('Invalid album ID');
+
+        const album = await getOwnedAlbum(req, album_id);
+        if (!album) return res.status(404).send('Album not found');
+        if (!canModify(req.auth, album)) return res.status(403).send('Only the owner can delete this album');
+
+        if (!await storage.deleteAlbum(album_id)) return res.status(404).send('Album not found');
+
+        res.status(200).json({ message: 'Album deleted successfully', album_id });
+    } catch (error) {
+        console.error('Error deleting album:', error);
+        res.status(500).send('Error deleting album');
+    }
+});
+
+// Report oversized or malformed uploads
+app.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).send(error.message);
+    }
+    if (error.type === 'entity.too.large') return res.status(413).send('Upload is too large');
+    if (error.type === 'entity.parse.failed') return res.status(400).send('Malformed request body');
+    next(error);
+});
+
+// Start the Express server, even if the storage cannot connect,
+// so clients get a 503 instead of a refused connection
+app.listen(port, () => {
+    console.log(`Server listening at http://localhost:${port}`);
+});
+
+storage.connect()
+    .then(() => { storageReady = true; })
+    .catch(error => console.error('Could not connect to storage:', error));
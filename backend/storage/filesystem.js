@@ -0,0 +1,225 @@
+const { createReadStream } = require('fs');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const path = require('path');
+const MemoryStorage = require('./memory');
+
+/**
+ * Keeps image documents as JSON files in a local directory:
+ *   <dir>/images/<image_id>.json   One file per document
+ *   <dir>/files/<key>              Uploaded image bytes
+ *   <dir>/counter.json             The last allocated image_id and album_id
+ *   <dir>/deletions.json           Tombstones of deleted documents
+ *   <dir>/albums.json              Every album
+ *   <dir>/credentials.json         Every credential
+ * Documents are also cached in memory, so reads never touch the disk.
+ */
+class FileStorage extends MemoryStorage {
+    /**
+     * @param {String} dir The directory to store data in
+     */
+    constructor(dir) {
+        super();
+        this.dir = dir;
+        this.imagesDir = path.join(dir, 'images');
+        this.filesDir = path.join(dir, 'files');
+        this.counterFile = path.join(dir, 'counter.json');
+        this.deletionsFile = path.join(dir, 'deletions.json');
+        this.albumsFile = path.join(dir, 'albums.json');
+        this.credentialsFile = path.join(dir, 'credentials.json');
+        // Chain of pending writes, so files are written one at a time
+        this.writes = Promise.resolve();
+    }
+
+    async connect() {
+        await fs.mkdir(this.imagesDir, { recursive: true });
+        await fs.mkdir(this.filesDir, { recursive: true });
+
+        for (const file of await fs.readdir(this.imagesDir)) {
+            if (!file.endsWith('.json')) continue;
+
+            const item = JSON.parse(await fs.readFile(path.join(this.imagesDir, file), 'utf8'));
+            // JSON stores dates as strings
+            if (item.created_at) item.created_at = new Date(item.created_at);
+            if (item.updated_at) item.updated_at = new Date(item.updated_at);
+            this.items.set(item.image_id, item);
+        }
+
+        // Never reuse the ID of a deleted document
+        try {
+            const counter = JSON.parse(await fs.readFile(this.counterFile, 'utf8'));
+            this.lastId = counter.image_id;
+            this.lastAlbumId = counter.album_id || 0;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        this.lastId = Math.max(this.lastId, ...this.items.keys());
+
+        try {
+            const albums = JSON.parse(await fs.readFile(this.albumsFile, 'utf8'));
+            albums.forEach(album => this.albums.set(album.album_id, {
+                ...album,
+                created_at: new Date(album.created_at),
+                updated_at: new Date(album.updated_at),
+            }));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        this.lastAlbumId = Math.max(this.lastAlbumId, ...this.albums.keys());
+
+        try {
+            const deletions = JSON.parse(await fs.readFile(this.deletionsFile, 'utf8'));
+            this.deletions = deletions.map(tombstone => ({ ...tombstone, deleted_at: new Date(tombstone.deleted_at) }));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        try {
+            const credentials = JSON.parse(await fs.readFile(this.credentialsFile, 'utf8'));
+            credentials.forEach(credential => this.credentials.set(credential.id, {
+                ...credential,
+                created_at: new Date(credential.created_at),
+            }));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        console.log(`Using file storage at ${this.dir} (${this.items.size} images, ${this.albums.size} albums)`);
+    }
+
+    async close() {
+        await this.writes;
+    }
+
+    async insert(item) {
+        const newItem = await super.insert(item);
+        await this.write(() => Promise.all([
+            this.writeJSON(this.itemFile(newItem.image_id), newItem),
+            this.writeCounters(),
+        ]));
+        return newItem;
+    }
+
+    async update(image_id, fields) {
+        const updated = await super.update(image_id, fields);
+        if (updated) await this.write(() => this.writeJSON(this.itemFile(image_id), this.items.get(image_id)));
+        return updated;
+    }
+
+    async delete(image_ids) {
+        const deleted = await super.delete(image_ids);
+        await this.write(() => Promise.all([
+            ...deleted.map(image_id => fs.rm(this.itemFile(image_id), { force: true })),
+            this.writeJSON(this.deletionsFile, this.deletions),
+        ]));
+        return deleted;
+    }
+
+    async insertAlbum(album) {
+        const newAlbum = await super.insertAlbum(album);
+        await this.write(() => Promise.all([this.writeAlbums(), this.writeCounters()]));
+        return newAlbum;
+    }
+
+    async updateAlbum(album_id, fields) {
+        const updated = await super.updateAlbum(album_id, fields);
+        if (updated) await this.write(() => this.writeAlbums());
+        return updated;
+    }
+
+    async deleteAlbum(album_id) {
+        const existed = await super.deleteAlbum(album_id);
+        if (existed) await this.write(() => this.writeAlbums());
+        return existed;
+    }
+
+    async addCredential(credential) {
+        const added = await super.addCredential(credential);
+        if (added) await this.write(() => this.writeJSON(this.credentialsFile, [...this.credentials.values()]));
+        return added;
+    }
+
+    async saveFile(buffer, { contentType, filename }) {
+        const key = crypto.randomUUID();
+        await this.writeFileAtomic(this.dataFile(key), buffer);
+        return { key, contentType, filename, length: buffer.length };
+    }
+
+    async openFile(key) {
+        try {
+            await fs.access(this.dataFile(key));
+        } catch {
+            return null;
+        }
+        return createReadStream(this.dataFile(key));
+    }
+
+    async deleteFile(key) {
+        await fs.rm(this.dataFile(key), { force: true });
+    }
+
+    /**
+     * @param {Number} image_id The document ID
+     * @returns {String} The path of the document's file
+     */
+    itemFile(image_id) {
+        return path.join(this.imagesDir, `${image_id}.json`);
+    }
+
+    /**
+     * @param {String} key The file key
+     * @returns {String} The path of the uploaded image bytes
+     */
+    dataFile(key) {
+        // Keys are generated UUIDs, but never let one escape the directory
+        return path.join(this.filesDir, path.basename(key));
+    }
+
+    /**
+     * Queue a write behind every earlier write
+     * @param {Function} task Async function performing the write
+     * @returns {Promise} Resolves once the task has finished
+     */
+    write(task) {
+        const result = this.writes.then(task);
+        // Keep the chain alive if a write fails
+        this.writes = result.catch(error => console.error('Error writing storage file:', error));
+        return result;
+    }
+
+    /**
+     * Save the last allocated IDs
+     */
+    async writeCounters() {
+        await this.writeJSON(this.counterFile, { image_id: this.lastId, album_id: this.lastAlbumId });
+    }
+
+    /**
+     * Save every album
+     */
+    async writeAlbums() {
+        await this.writeJSON(this.albumsFile, [...this.albums.values()]);
+    }
+
+    /**
+     * Write a JSON file atomically
+     * @param {String} file The destination path
+     * @param {Object} data The value to write
+     */
+    async writeJSON(file, data) {
+        await this.writeFileAtomic(file, JSON.stringify(data));
+    }
+
+    /**
+     * Write a file through a temporary file, so a crash never leaves it half-written
+     * @param {String} file The destination path
+     * @param {String|Buffer} data The contents to write
+     */
+    async writeFileAtomic(file, data) {
+        const temp = `${file}.tmp`;
+        await fs.writeFile(temp, data);
+        await fs.rename(temp, file);
+    }
+}
+
+module.exports = FileStorage;
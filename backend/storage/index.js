@@ -0,0 +1,78 @@
+const path = require('path');
+const FileStorage = require('./filesystem');
+const MemoryStorage = require('./memory');
+const MongoStorage = require('./mongo');
+
+/**
+ * Storage adapters for image and album documents.
+ *
+ * Every adapter implements:
+ *   connect()                   Prepare the storage, before any other call
+ *   close()                     Release connections and finish pending writes
+ *   list(query)                 -> { items, total } One page of documents, without image data
+ *   get(image_id)               -> The full document, or null
+ *   insert(item)                -> The stored document, with a newly allocated image_id
+ *   update(image_id, fields)    -> The updated document without image data, or null
+ *   delete(image_ids)           -> The IDs that existed and were deleted, along with their files
+ *   saveFile(buffer, info)      -> { key, contentType, filename, length } Store uploaded image bytes
+ *   openFile(key)               -> A readable stream of the bytes, or null
+ *   deleteFile(key)             Remove stored bytes
+ *   listDeleted({ since, access }) -> IDs of documents deleted since `since`, visible to `access`
+ *   listAlbums(access)          -> Every album visible to `access` (all albums if it is undefined), by album_id
+ *   getAlbum(album_id)          -> The album, or null
+ *   insertAlbum(album)          -> The stored album, with a newly allocated album_id
+ *   updateAlbum(album_id, fields) -> The updated album, or null
+ *   deleteAlbum(album_id)       -> Whether the album existed
+ *   getCredential(id)           -> The credential, or null
+ *   addCredential(credential)   -> Whether it was added (false if its id is taken)
+ *
+ * Albums are { album_id, name, image_ids, owner, team, created_at, updated_at }.
+ * Their image_ids are not updated when images are deleted, so they may list missing images.
+ *
+ * Credentials are { id, hash, created_at }: the hash of a secret a device must present to use an ID,
+ * i.e. "device:<deviceId>" or "team:<team>". They are never replaced, so the first device to claim an ID keeps it.
+ *
+ * @typedef {Object} ListFilter
+ * @property {Date} [from] Earliest created_at
+ * @property {Date} [to] Latest created_at
+ * @property {String[]} [tags] Tags the document must all have
+ * @property {String} [color] Color class in the palette or color info, i.e. ORANGE
+ * @property {{ deviceId: String, team: String|null }} [access] Only images this device uploaded or its team shares
+ * @property {Date} [updatedSince] Only images changed at or after this time
+ *
+ * @typedef {Object} ListSort
+ * @property {'image_id'|'created_at'|'updated_at'} field The field to sort by
+ * @property {'asc'|'desc'} order The sort direction
+ *
+ * @typedef {Object} ListQuery
+ * @property {ListFilter} filter Which documents to include
+ * @property {ListSort} sort How to order them
+ * @property {Number} limit The page size
+ * @property {Number} offset The number of documents to skip
+ */
+
+// Adapters selectable through STORAGE_BACKEND
+const BACKENDS = ['mongo', 'fs', 'memory'];
+
+/**
+ * Create the storage adapter named by STORAGE_BACKEND
+ *   mongo   MongoDB at MONGODB_URI (default)
+ *   fs      JSON files under STORAGE_DIR (default: backend/data)
+ *   memory  Process memory only
+ * @param {String} [type] The adapter to create
+ * @returns {MongoStorage|FileStorage|MemoryStorage} The storage adapter
+ */
+function createStorage(type = process.env.STORAGE_BACKEND || 'mongo') {
+    switch (type) {
+        case 'mongo':
+            return new MongoStorage(process.env.MONGODB_URI, process.env.MONGODB_DB || 'MyDB');
+        case 'fs':
+            return new FileStorage(process.env.STORAGE_DIR || path.join(__dirname, '..', 'data'));
+        case 'memory':
+            return new MemoryStorage();
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${type}", expected one of: ${BACKENDS.join(', ')}`);
+    }
+}
+
+module.exports = { createStorage, BACKENDS };
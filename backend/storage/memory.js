@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { applyQuery, isVisibleTo, withoutImageData } = require('./query');
+
+/**
+ * Keeps image and album documents in process memory.
+ * Everything is lost when the server stops, which suits development and tests.
+ */
+class MemoryStorage {
+    constructor() {
+        /** @type {Map<Number, Object>} Documents by image_id */
+        this.items = new Map();
+        // The last allocated image_id
+        this.lastId = 0;
+        /** @type {Map<String, Buffer>} Uploaded image bytes by file key */
+        this.files = new Map();
+        /** @type {Object[]} Tombstones of deleted documents: { image_id, owner, team, deleted_at } */
+        this.deletions = [];
+        /** @type {Map<Number, Object>} Albums by album_id */
+        this.albums = new Map();
+        // The last allocated album_id
+        this.lastAlbumId = 0;
+        /** @type {Map<String, Object>} Credentials by id */
+        this.credentials = new Map();
+    }
+
+    async connect() {
+        console.log('Using in-memory storage (data is lost on restart)');
+    }
+
+    async close() {}
+
+    async list(query) {
+        const { items, total } = applyQuery([...this.items.values()], query);
+        return { items: items.map(withoutImageData), total };
+    }
+
+    async get(image_id) {
+        return this.items.get(image_id) || null;
+    }
+
+    async insert(item) {
+        // Node runs this synchronously, so concurrent inserts cannot share an ID
+        const newItem = { ...item, image_id: ++this.lastId };
+        this.items.set(newItem.image_id, newItem);
+        return newItem;
+    }
+
+    async update(image_id, fields) {
+        const item = this.items.get(image_id);
+        if (!item) return null;
+
+        const updated = { ...item, ...fields };
+        this.items.set(image_id, updated);
+        return withoutImageData(updated);
+    }
+
+    async delete(image_ids) {
+        const deleted = image_ids.filter(image_id => this.items.has(image_id));
+        const files = deleted.map(image_id => this.items.get(image_id).file).filter(Boolean);
+
+        const deleted_at = new Date();
+        deleted.forEach(image_id => {
+            const { owner, team } = this.items.get(image_id);
+            this.deletions.push({ image_id, owner, team, deleted_at });
+            this.items.delete(image_id);
+        });
+        await Promise.all(files.map(file => this.deleteFile(file.key)));
+
+        return deleted;
+    }
+
+    async listDeleted({ since, access }) {
+        return this.deletions
+            .filter(tombstone => tombstone.deleted_at.getTime() >= since.getTime())
+            .filter(tombstone => !access || isVisibleTo(tombstone, access))
+            .map(tombstone => tombstone.image_id);
+    }
+
+    async listAlbums(access) {
+        return [...this.albums.values()]
+            .filter(album => !access || isVisibleTo(album, access))
+            .sort((a, b) => a.album_id - b.album_id);
+    }
+
+    async getAlbum(album_id) {
+        return this.albums.get(album_id) || null;
+    }
+
+    async insertAlbum(album) {
+        const newAlbum = { ...album, album_id: ++this.lastAlbumId };
+        this.albums.set(newAlbum.album_id, newAlbum);
+        return newAlbum;
+    }
+
+    async updateAlbum(album_id, fields) {
+        const album = this.albums.get(album_id);
+        if (!album) return null;
+
+        const updated = { ...album, ...fields };
+        this.albums.set(album_id, updated);
+        return updated;
+    }
+
+    async deleteAlbum(album_id) {
+        return this.albums.delete(album_id);
+    }
+
+    async getCredential(id) {
+        return this.credentials.get(id) || null;
+    }
+
+    async addCredential(credential) {
+        if (this.credentials.has(credential.id)) return false;
+        this.credentials.set(credential.id, credential);
+        return true;
+    }
+
+    async saveFile(buffer, { contentType, filename }) {
+        const key = crypto.randomUUID();
+        this.files.set(key, buffer);
+        return { key, contentType, filename, length: buffer.length };
+    }
+
+    async openFile(key) {
+        const buffer = this.files.get(key);
+        // Buffers are emitted whole, not byte by byte
+        return buffer ? Readable.from([buffer]) : null;
+    }
+
+    async deleteFile(key) {
+        this.files.delete(key);
+    }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,303 @@
+const { finished } = require('stream/promises');
+const { GridFSBucket, MongoClient, ObjectId, ServerApiVersion, Int32 } = require('mongodb');
+
+// MongoDB error code for unique index violations
+const DUPLICATE_KEY_ERROR = 11000;
+// Times an insert will try a new image_id after a duplicate key error
+const MAX_INSERT_ATTEMPTS = 5;
+// Fields left out of list responses (the base64 image data)
+const LIST_PROJECTION = { image: 0 };
+
+/**
+ * Keeps image documents in a MongoDB collection,
+ * with IDs allocated from an atomic counter document
+ * and uploaded image bytes in a GridFS bucket.
+ * Albums are kept in their own collection, with their own counter.
+ * Credentials are kept by id, so no two can share one.
+ */
+class MongoStorage {
+    /**
+     * @param {String} uri The MongoDB connection string
+     * @param {String} dbName The database holding the 'images', 'albums', 'counters' and 'credentials' collections
+     */
+    constructor(uri, dbName = 'MyDB') {
+        if (!uri) throw new Error('MONGODB_URI must be set to use MongoDB storage');
+
+        // Create a MongoClient with a MongoClientOptions object to set the Stable API version
+        this.client = new MongoClient(uri, {
+            serverApi: {
+                version: ServerApiVersion.v1,
+                strict: true,
+                deprecationErrors: true,
+            },
+        });
+        this.dbName = dbName;
+    }
+
+    async connect() {
+        // Connect the client to the server (optional starting in v4.7)
+        await this.client.connect();
+        // Send a ping to confirm a successful connection
+        await this.client.db('admin').command({ ping: 1 });
+        console.log('Pinged your deployment. You successfully connected to MongoDB!');
+
+        const database = this.client.db(this.dbName);
+        this.collection = database.collection('images');
+        this.albums = database.collection('albums');
+        // Holds the last allocated IDs, as { _id: 'image_id' | 'album_id', seq: Number }
+        this.counters = database.collection('counters');
+        // Tombstones of deleted documents: { image_id, owner, team, deleted_at }
+        this.deletions = database.collection('deletions');
+        // Secrets devices must present to use an ID: { _id: id, hash, created_at }
+        this.credentials = database.collection('credentials');
+        // Uploaded image bytes, kept out of the documents (16MB limit)
+        this.bucket = new GridFSBucket(database, { bucketName: 'imageFiles' });
+
+        // No two images may share an ID
+        try {
+            await this.collection.createIndex({ image_id: 1 }, { unique: true });
+        } catch (error) {
+            console.error('Could not create unique image_id index (are there duplicate IDs?):', error);
+        }
+
+        // Each device lists its own images
+        await this.collection.createIndex({ owner: 1, image_id: -1 });
+        // Searching by palette color
+        await this.collection.createIndex({ colors: 1 });
+        // Syncing changes
+        await this.collection.createIndex({ updated_at: 1 });
+        await this.deletions.createIndex({ deleted_at: 1 });
+        // Albums are only ever created through getNextId('album_id')
+        await this.albums.createIndex({ album_id: 1 }, { unique: true });
+
+        await this.syncIdCounter();
+    }
+
+    async close() {
+        await this.client.close();
+    }
+
+    async list({ filter, sort, limit, offset }) {
+        const query = toMongoFilter(filter);
+
+        // Tie-break on image_id so pages are stable
+        const direction = sort.order === 'asc' ? 1 : -1;
+        const mongoSort = sort.field === 'image_id'
+            ? { image_id: direction }
+            : { [sort.field]: direction, image_id: direction };
+
+        const [items, total] = await Promise.all([
+            this.collection
+                .find(query, { projection: LIST_PROJECTION })
+                .sort(mongoSort)
+                .skip(offset)
+                .limit(limit)
+                .toArray(),
+            this.collection.countDocuments(query),
+        ]);
+
+        return { items, total };
+    }
+
+    async get(image_id) {
+        return this.collection.findOne({ image_id: new Int32(image_id) });
+    }
+
+    /**
+     * Insert a document under a newly allocated image_id,
+     * retrying with a fresh ID if the unique index rejects it
+     */
+    async insert(item) {
+        for (let attempt = 1; ; attempt++) {
+            const newItem = { ...item, image_id: await this.getNextId() };
+            try {
+                await this.collection.insertOne(newItem);
+                return newItem;
+            } catch (error) {
+                // Only retry duplicate key errors
+                if (error.code !== DUPLICATE_KEY_ERROR || attempt >= MAX_INSERT_ATTEMPTS) throw error;
+
+                console.warn(`Duplicate image_id ${newItem.image_id}, retrying (attempt ${attempt})`);
+                // The counter fell behind the stored IDs (i.e. a manual insert)
+                await this.syncIdCounter();
+            }
+        }
+    }
+
+    async update(image_id, fields) {
+        return this.collection.findOneAndUpdate(
+            { image_id: new Int32(image_id) },
+            { $set: fields },
+            { returnDocument: 'after', projection: LIST_PROJECTION }
+        );
+    }
+
+    async delete(image_ids) {
+        const query = { image_id: { $in: image_ids.map(id => new Int32(id)) } };
+
+        // Find which of the IDs exist, so missing ones can be reported
+        const existing = await this.collection.find(query, { projection: { image_id: 1, file: 1, owner: 1, team: 1 } }).toArray();
+        if (existing.length === 0) return [];
+
+        await this.collection.deleteMany(query);
+
+        const deleted_at = new Date();
+        await this.deletions.insertMany(existing.map(({ image_id, owner, team }) => ({ image_id, owner, team, deleted_at })));
+
+        const files = existing.map(item => item.file).filter(Boolean);
+        await Promise.all(files.map(file => this.deleteFile(file.key)));
+
+        return existing.map(item => item.image_id);
+    }
+
+    async listDeleted({ since, access }) {
+        const query = { $and: [{ deleted_at: { $gte: since } }] };
+        if (access) query.$and.push(toAccessFilter(access));
+
+        const tombstones = await this.deletions.find(query, { projection: { image_id: 1 } }).toArray();
+        return tombstones.map(tombstone => tombstone.image_id);
+    }
+
+    async listAlbums(access) {
+        const query = access ? toAccessFilter(access) : {};
+        return this.albums.find(query, { projection: { _id: 0 } }).sort({ album_id: 1 }).toArray();
+    }
+
+    async getAlbum(album_id) {
+        return this.albums.findOne({ album_id: new Int32(album_id) }, { projection: { _id: 0 } });
+    }
+
+    async insertAlbum(album) {
+        const newAlbum = { ...album, album_id: await this.getNextId('album_id') };
+        await this.albums.insertOne({ ...newAlbum });
+        return newAlbum;
+    }
+
+    async updateAlbum(album_id, fields) {
+        return this.albums.findOneAndUpdate(
+            { album_id: new Int32(album_id) },
+            { $set: fields },
+            { returnDocument: 'after', projection: { _id: 0 } }
+        );
+    }
+
+    async deleteAlbum(album_id) {
+        const { deletedCount } = await this.albums.deleteOne({ album_id: new Int32(album_id) });
+        return deletedCount > 0;
+    }
+
+    async getCredential(id) {
+        const found = await this.credentials.findOne({ _id: id });
+        if (!found) return null;
+
+        const { _id, ...credential } = found;
+        return { id: _id, ...credential };
+    }
+
+    async addCredential({ id, ...credential }) {
+        try {
+            await this.credentials.insertOne({ _id: id, ...credential });
+            return true;
+        } catch (error) {
+            // Another device claimed the id first
+            if (error.code === DUPLICATE_KEY_ERROR) return false;
+            throw error;
+        }
+    }
+
+    async saveFile(buffer, { contentType, filename }) {
+        const upload = this.bucket.openUploadStream(filename || 'image', { metadata: { contentType } });
+        upload.end(buffer);
+        await finished(upload);
+        return { key: upload.id.toHexString(), contentType, filename, length: buffer.length };
+    }
+
+    async openFile(key) {
+        if (!ObjectId.isValid(key)) return null;
+
+        const id = new ObjectId(key);
+        const found = await this.bucket.find({ _id: id }).limit(1).toArray();
+        return found.length > 0 ? this.bucket.openDownloadStream(id) : null;
+    }
+
+    async deleteFile(key) {
+        try {
+            await this.bucket.delete(new ObjectId(key));
+        } catch (error) {
+            // Already gone
+            if (!/not found/i.test(error.message)) throw error;
+        }
+    }
+
+    /**
+     * Move the counter up to the highest stored image_id,
+     * so IDs written before the counter existed are never handed out again
+     */
+    async syncIdCounter() {
+        const last = await this.collection.find().sort({ image_id: -1 }).limit(1).toArray();
+        const highest = last.length > 0 ? last[0].image_id : 0;
+        await this.counters.updateOne({ _id: 'image_id' }, { $max: { seq: highest } }, { upsert: true });
+    }
+
+    /**
+     * Atomically allocate the next ID
+     * @param {'image_id'|'album_id'} [name] The counter to increment
+     * @returns {Promise<Number>} An ID no other request has received
+     */
+    async getNextId(name = 'image_id') {
+        const counter = await this.counters.findOneAndUpdate(
+            { _id: name },
+            { $inc: { seq: 1 } },
+            { upsert: true, returnDocument: 'after' }
+        );
+        return counter.seq;
+    }
+}
+
+/**
+ * Convert a storage-neutral list filter to a MongoDB query
+ * @param {import('./index').ListFilter} filter The list filter
+ * @returns {Object} The MongoDB query
+ */
+function toMongoFilter(filter = {}) {
+    const conditions = [];
+
+    // Creation date range
+    if (filter.from || filter.to) {
+        const created_at = {};
+        if (filter.from) created_at.$gte = filter.from;
+        if (filter.to) created_at.$lte = filter.to;
+        conditions.push({ created_at });
+    }
+
+    // Images must have every listed tag
+    if (filter.tags && filter.tags.length > 0) conditions.push({ tags: { $all: filter.tags } });
+
+    // Color class from the palette or the client's color info, i.e. ORANGE
+    if (filter.color) conditions.push({ $or: [{ colors: filter.color }, { 'color.primary': filter.color }] });
+
+    // Images the device uploaded or its team shares
+    if (filter.access) conditions.push(toAccessFilter(filter.access));
+
+    // Changed since a sync (documents from before updated_at existed fall back to created_at)
+    if (filter.updatedSince) {
+        conditions.push({ $or: [
+            { updated_at: { $gte: filter.updatedSince } },
+            { updated_at: { $exists: false }, created_at: { $gte: filter.updatedSince } },
+        ] });
+    }
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+}
+
+/**
+ * @param {{ deviceId: String, team: String|null }} access The device and its team
+ * @returns {Object} A MongoDB query for documents the device can see
+ */
+function toAccessFilter(access) {
+    const visible = [{ owner: access.deviceId }];
+    if (access.team) visible.push({ team: access.team });
+    return { $or: visible };
+}
+
+module.exports = MongoStorage;
@@ -0,0 +1,99 @@
+/**
+ * Storage-neutral filtering, sorting and paging of image documents.
+ * Used by the adapters that keep their documents in memory.
+ */
+
+/**
+ * Check a document against a list filter
+ * @param {Object} item The image document
+ * @param {import('./index').ListFilter} filter The filter to apply
+ * @returns {Boolean} Whether the document matches every filter field
+ */
+function matchesFilter(item, filter = {}) {
+    if (filter.from || filter.to) {
+        const created = item.created_at ? new Date(item.created_at).getTime() : NaN;
+        if (isNaN(created)) return false;
+        if (filter.from && created < filter.from.getTime()) return false;
+        if (filter.to && created > filter.to.getTime()) return false;
+    }
+
+    if (filter.tags && filter.tags.length > 0) {
+        const tags = Array.isArray(item.tags) ? item.tags : [];
+        if (!filter.tags.every(tag => tags.includes(tag))) return false;
+    }
+
+    if (filter.color) {
+        const colors = Array.isArray(item.colors) ? item.colors : [];
+        if (!colors.includes(filter.color) && item.color?.primary !== filter.color) return false;
+    }
+
+    if (filter.access && !isVisibleTo(item, filter.access)) return false;
+
+    if (filter.updatedSince && timeOf(item.updated_at ?? item.created_at) < filter.updatedSince.getTime()) return false;
+
+    return true;
+}
+
+/**
+ * Check whether a device can see a document (or tombstone)
+ * @param {Object} item The document
+ * @param {{ deviceId: String, team: String|null }} access The device and its team
+ * @returns {Boolean} Whether the device uploaded it, or its team shares it
+ */
+function isVisibleTo(item, access) {
+    return item.owner === access.deviceId || (!!access.team && item.team === access.team);
+}
+
+/**
+ * @param {Date|String|undefined} value A stored date
+ * @returns {Number} Its epoch milliseconds, or 0 if it is missing
+ */
+function timeOf(value) {
+    return value ? new Date(value).getTime() : 0;
+}
+
+/**
+ * Compare two documents by a sort field, tie-breaking on image_id
+ * @param {import('./index').ListSort} sort The sort to apply
+ * @returns {Function} A comparator for Array.prototype.sort
+ */
+function compareBy(sort) {
+    const direction = sort.order === 'asc' ? 1 : -1;
+    const value = (item) => {
+        const raw = item[sort.field];
+        // Dates (created_at, updated_at) may be Date objects or strings
+        if (sort.field.endsWith('_at')) return timeOf(raw);
+        return raw ?? 0;
+    };
+
+    return (a, b) => {
+        const diff = value(a) - value(b);
+        return (diff !== 0 ? diff : a.image_id - b.image_id) * direction;
+    };
+}
+
+/**
+ * Filter, sort and page a list of documents
+ * @param {Object[]} items All documents
+ * @param {import('./index').ListQuery} query The list query
+ * @returns {{ items: Object[], total: Number }} The requested page and the number of matching documents
+ */
+function applyQuery(items, query) {
+    const matching = items.filter(item => matchesFilter(item, query.filter)).sort(compareBy(query.sort));
+    return {
+        items: matching.slice(query.offset, query.offset + query.limit),
+        total: matching.length,
+    };
+}
+
+/**
+ * Copy a document without its base64 image data
+ * @param {Object} item The image document
+ * @returns {Object} The document metadata
+ */
+function withoutImageData(item) {
+    const { image, ...metadata } = item;
+    return metadata;
+}
+
+module.exports = { matchesFilter, isVisibleTo, compareBy, applyQuery, withoutImageData };
@@ -0,0 +1,139 @@
+const assert = require('node:assert/strict');
+const { describe, test } = require('node:test');
+const { canEdit, canModify, issueToken } = require('../auth');
+const MemoryStorage = require('../storage/memory');
+
+/**
+ * Device registration and team membership through POST /auth.
+ * A deviceId belongs to the first device that signs in with it,
+ * and a team's key is set by the first device to join it.
+ */
+
+/**
+ * @returns {Promise<MemoryStorage>} A connected, empty storage adapter
+ */
+async function emptyStorage() {
+    const storage = new MemoryStorage();
+    await storage.connect();
+    return storage;
+}
+
+describe('issueToken', () => {
+    test('registers a new deviceId and returns its secret once', async () => {
+        const storage = await emptyStorage();
+
+        const first = await issueToken({ deviceId: 'device-a' }, storage);
+        assert.equal(first.status, 200);
+        assert.ok(first.token);
+        assert.ok(first.deviceSecret, 'a new device must get a secret');
+
+        const again = await issueToken({ deviceId: 'device-a', deviceSecret: first.deviceSecret }, storage);
+        assert.equal(again.status, 200);
+        assert.equal(again.deviceSecret, null);
+    });
+
+    test('rejects a registered deviceId without its secret', async () => {
+        const storage = await emptyStorage();
+        const { deviceSecret } = await issueToken({ deviceId: 'device-a' }, storage);
+
+        const missing = await issueToken({ deviceId: 'device-a' }, storage);
+        assert.equal(missing.status, 403);
+        assert.equal(missing.token, null);
+
+        const wrong = await issueToken({ deviceId: 'device-a', deviceSecret: `${deviceSecret}x` }, storage);
+        assert.equal(wrong.status, 403);
+        assert.equal(wrong.token, null);
+    });
+
+    test('never stores the secret itself', async () => {
+        const storage = await emptyStorage();
+        const { deviceSecret } = await issueToken({ deviceId: 'device-a' }, storage);
+
+        const credential = await storage.getCredential('device:device-a');
+        assert.notEqual(credential.hash, deviceSecret);
+    });
+
+    test('registers a deviceId to only one of several parallel requests', async () => {
+        const storage = await emptyStorage();
+
+        const results = await Promise.all(Array.from({ length: 10 }, () => issueToken({ deviceId: 'device-a' }, storage)));
+        assert.equal(results.filter(result => result.status === 200).length, 1);
+        assert.equal(results.filter(result => result.status === 403).length, 9);
+    });
+});
+
+describe('teams', () => {
+    test('admits devices with the key the team was created with', async () => {
+        const storage = await emptyStorage();
+
+        const founder = await issueToken({ deviceId: 'device-a', team: 'lab', teamKey: 'correct horse' }, storage);
+        assert.equal(founder.status, 200);
+        assert.equal(founder.auth.team, 'lab');
+
+        const teammate = await issueToken({ deviceId: 'device-b', team: 'lab', teamKey: 'correct horse' }, storage);
+        assert.equal(teammate.status, 200);
+        assert.equal(teammate.auth.team, 'lab');
+    });
+
+    test('turns away devices without the team key', async () => {
+        const storage = await emptyStorage();
+        await issueToken({ deviceId: 'device-a', team: 'lab', teamKey: 'correct horse' }, storage);
+
+        const wrong = await issueToken({ deviceId: 'device-b', team: 'lab', teamKey: 'battery staple' }, storage);
+        assert.equal(wrong.status, 403);
+        assert.equal(wrong.token, null);
+
+        const missing = await issueToken({ deviceId: 'device-c', team: 'lab' }, storage);
+        assert.equal(missing.status, 400);
+        assert.equal(missing.token, null);
+    });
+
+    test('lets a new device retry after a wrong team key', async () => {
+        const storage = await emptyStorage();
+        await issueToken({ deviceId: 'device-a', team: 'lab', teamKey: 'correct horse' }, storage);
+
+        const wrong = await issueToken({ deviceId: 'device-b', team: 'lab', teamKey: 'battery staple' }, storage);
+        assert.equal(wrong.status, 403);
+
+        const retry = await issueToken({ deviceId: 'device-b', team: 'lab', teamKey: 'correct horse' }, storage);
+        assert.equal(retry.status, 200);
+        assert.ok(retry.deviceSecret, 'the device must still be registered as new');
+    });
+});
+
+describe('canModify', () => {
+    const image = { image_id: 1, owner: 'device-a', team: 'lab' };
+
+    test('lets only the owner and admins change an image', () => {
+        assert.equal(canModify({ deviceId: 'device-a', team: 'lab', admin: false }, image), true);
+        assert.equal(canModify({ deviceId: 'device-b', team: 'lab', admin: false }, image), false);
+        assert.equal(canModify({ deviceId: 'device-c', team: null, admin: true }, image), true);
+    });
+
+    test('lets only the owner and admins change an album', () => {
+        const album = { album_id: 1, name: 'Lab session 3', image_ids: [1], owner: 'device-a', team: 'lab' };
+
+        assert.equal(canModify({ deviceId: 'device-a', team: 'lab', admin: false }, album), true);
+        assert.equal(canModify({ deviceId: 'device-b', team: 'lab', admin: false }, album), false);
+        assert.equal(canModify({ deviceId: 'device-c', team: null, admin: true }, album), true);
+    });
+});
+
+describe('canEdit', () => {
+    const image = { image_id: 1, owner: 'device-a', team: 'lab' };
+    const teammate = { deviceId: 'device-b', team: 'lab', admin: false };
+
+    test('lets teammates change the tags of an image', () => {
+        assert.equal(canEdit(teammate, image, ['tags']), true);
+    });
+
+    test('keeps the other fields owner-only', () => {
+        assert.equal(canEdit(teammate, image, ['title']), false);
+        assert.equal(canEdit(teammate, image, ['tags', 'color']), false);
+        assert.equal(canEdit({ deviceId: 'device-a', team: 'lab', admin: false }, image, ['title', 'color']), true);
+    });
+
+    test('lets no one outside the team change the tags', () => {
+        assert.equal(canEdit({ deviceId: 'device-c', team: 'other', admin: false }, image, ['tags']), false);
+    });
+});
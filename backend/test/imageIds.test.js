@@ -0,0 +1,217 @@
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, test } = require('node:test');
+const FileStorage = require('../storage/filesystem');
+const MemoryStorage = require('../storage/memory');
+const MongoStorage = require('../storage/mongo');
+
+/**
+ * image_id allocation under concurrent uploads.
+ * Every adapter must hand out unique IDs, however many inserts run at once.
+ * MongoStorage's counter and duplicate-key retry are tested against in-memory stand-ins for its collections.
+ *   MONGODB_TEST_URI   Also run against MongoDB (a throwaway database is created and dropped)
+ */
+
+// Parallel inserts per test
+const UPLOADS = 200;
+
+/**
+ * Insert UPLOADS documents at the same time
+ * @param {Object} storage A connected storage adapter
+ * @returns {Promise<Number[]>} The allocated image_ids
+ */
+async function insertInParallel(storage) {
+    const inserted = await Promise.all(Array.from({ length: UPLOADS }, (_, i) => storage.insert({
+        title: `Upload ${i}`,
+        owner: 'test-device',
+        team: null,
+        created_at: new Date(),
+    })));
+    return inserted.map(item => item.image_id);
+}
+
+/**
+ * Check that IDs are unique positive integers
+ * @param {Number[]} ids The allocated image_ids
+ */
+function assertUnique(ids) {
+    assert.equal(ids.length, UPLOADS);
+    assert.equal(new Set(ids).size, ids.length, 'image_ids must be unique');
+    ids.forEach(id => assert.ok(Number.isInteger(id) && id > 0, `${id} is not a positive integer`));
+}
+
+describe('MemoryStorage', () => {
+    test('allocates unique image_ids to parallel inserts', async () => {
+        const storage = new MemoryStorage();
+        await storage.connect();
+
+        assertUnique(await insertInParallel(storage));
+        await storage.close();
+    });
+});
+
+describe('FileStorage', () => {
+    const dirs = [];
+    const tempDir = async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'images-test-'));
+        dirs.push(dir);
+        return dir;
+    };
+
+    after(() => Promise.all(dirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+    test('allocates unique image_ids to parallel inserts', async () => {
+        const storage = new FileStorage(await tempDir());
+        await storage.connect();
+
+        assertUnique(await insertInParallel(storage));
+        await storage.close();
+    });
+
+    test('never reuses the image_ids of deleted documents after a restart', async () => {
+        const dir = await tempDir();
+
+        const first = new FileStorage(dir);
+        await first.connect();
+        const ids = await insertInParallel(first);
+        await first.delete(ids);
+        await first.close();
+
+        const second = new FileStorage(dir);
+        await second.connect();
+        const newIds = await insertInParallel(second);
+        await second.close();
+
+        assertUnique(newIds);
+        assert.ok(Math.min(...newIds) > Math.max(...ids), 'image_ids of deleted documents were reused');
+    });
+});
+
+// MongoDB error code for unique index violations
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Stand-in for the 'images' collection, with a unique index on image_id.
+ * Every call yields first, so parallel inserts interleave as they would against a server.
+ */
+class FakeImages {
+    constructor() {
+        /** @type {Map<Number, Object>} Documents by image_id */
+        this.docs = new Map();
+        // The number of inserts rejected as duplicates
+        this.duplicates = 0;
+    }
+
+    async insertOne(doc) {
+        await Promise.resolve();
+        if (this.docs.has(doc.image_id)) {
+            this.duplicates++;
+            throw Object.assign(new Error(`E11000 duplicate key error dup key: { image_id: ${doc.image_id} }`), { code: DUPLICATE_KEY_ERROR });
+        }
+        this.docs.set(doc.image_id, doc);
+    }
+
+    // Only what syncIdCounter() uses: find().sort({ image_id: -1 }).limit(1).toArray()
+    find() {
+        const docs = [...this.docs.values()];
+        const cursor = {
+            sort: ({ image_id }) => {
+                docs.sort((a, b) => (a.image_id - b.image_id) * image_id);
+                return cursor;
+            },
+            limit: (count) => {
+                docs.splice(count);
+                return cursor;
+            },
+            toArray: async () => docs,
+        };
+        return cursor;
+    }
+}
+
+/**
+ * Stand-in for the 'counters' collection: { _id, seq }
+ */
+class FakeCounters {
+    constructor() {
+        /** @type {Map<String, Number>} seq by counter name */
+        this.seqs = new Map();
+    }
+
+    async findOneAndUpdate({ _id }, { $inc }) {
+        await Promise.resolve();
+        this.seqs.set(_id, (this.seqs.get(_id) || 0) + $inc.seq);
+        return { _id, seq: this.seqs.get(_id) };
+    }
+
+    async updateOne({ _id }, { $max }) {
+        await Promise.resolve();
+        this.seqs.set(_id, Math.max(this.seqs.get(_id) || 0, $max.seq));
+    }
+}
+
+/**
+ * A MongoStorage whose collections are the in-memory stand-ins (the client never connects)
+ * @returns {MongoStorage} The storage adapter
+ */
+function fakeMongoStorage() {
+    const storage = new MongoStorage('mongodb://localhost:27017', 'images-test');
+    storage.collection = new FakeImages();
+    storage.counters = new FakeCounters();
+    return storage;
+}
+
+describe('MongoStorage.insert', () => {
+    // The retries log a warning each
+    const { warn } = console;
+    before(() => { console.warn = () => {}; });
+    after(() => { console.warn = warn; });
+
+    test('allocates unique image_ids to parallel inserts', async () => {
+        const storage = fakeMongoStorage();
+
+        assertUnique(await insertInParallel(storage));
+        assert.equal(storage.collection.duplicates, 0);
+    });
+
+    test('retries with new image_ids when the counter is behind the stored documents', async () => {
+        const storage = fakeMongoStorage();
+        // Written before the counter existed, i.e. by hand
+        for (let image_id = 1; image_id <= 20; image_id++) storage.collection.docs.set(image_id, { image_id });
+
+        const ids = await insertInParallel(storage);
+
+        assertUnique(ids);
+        assert.ok(storage.collection.duplicates > 0, 'no insert hit a duplicate image_id');
+        assert.ok(Math.min(...ids) > 20, 'an existing image_id was handed out');
+        assert.equal(storage.collection.docs.size, 20 + UPLOADS);
+    });
+
+    test('does not retry other errors', async () => {
+        const storage = fakeMongoStorage();
+        let attempts = 0;
+        storage.collection.insertOne = async () => {
+            attempts++;
+            throw new Error('connection reset');
+        };
+
+        await assert.rejects(storage.insert({ title: 'Upload' }), /connection reset/);
+        assert.equal(attempts, 1);
+    });
+});
+
+describe('MongoStorage', { skip: !process.env.MONGODB_TEST_URI && 'MONGODB_TEST_URI is not set' }, () => {
+    test('allocates unique image_ids to parallel inserts', async () => {
+        const storage = new MongoStorage(process.env.MONGODB_TEST_URI, `images-test-${process.pid}`);
+        await storage.connect();
+
+        try {
+            assertUnique(await insertInParallel(storage));
+        } finally {
+            await storage.client.db(storage.dbName).dropDatabase();
+            await storage.close();
+        }
+    });
+});
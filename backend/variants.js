@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+
+/**
+ * Resized/re-encoded copies of stored images, for GET /image/:id?w=&h=&fit=&format=&quality=
+ * Variants are generated once and cached on disk, under the key of the stored file:
+ *   <CACHE_DIR>/<file key>/<w>x<h>-<fit>-q<quality>.<format>
+ * (image_ids may restart when the storage is reset, file keys are never reused)
+ */
+
+// Where generated variants are kept
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'cache');
+// Largest width/height a variant may be resized to
+const MAX_DIMENSION = 4096;
+// Accepted ?fit= values
+const FITS = ['cover', 'contain'];
+// Accepted ?format= values, and their content types
+const FORMATS = Object.freeze({
+    webp: 'image/webp',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+});
+// Used when ?quality= is not given
+const DEFAULT_QUALITY = 80;
+
+/**
+ * Validate the transform parameters of GET /image/:id
+ * @param {Object} params The request query
+ * @returns {{ transform: Object|null, error: String|null }} The transform (null when none was requested), or an error message
+ */
+function parseTransform(params) {
+    const { w, h, fit, format, quality } = params;
+
+    // Serve the original
+    if ([w, h, fit, format, quality].every(value => value === undefined)) {
+        return { transform: null, error: null };
+    }
+
+    const dimension = (value, name) => {
+        if (value === undefined) return { value: null };
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1 || number > MAX_DIMENSION) {
+            return { error: `${name} must be an integer from 1 to ${MAX_DIMENSION}.` };
+        }
+        return { value: number };
+    };
+
+    const width = dimension(w, 'w');
+    if (width.error) return { transform: null, error: width.error };
+    const height = dimension(h, 'h');
+    if (height.error) return { transform: null, error: height.error };
+
+    if (fit !== undefined && !FITS.includes(fit)) {
+        return { transform: null, error: `fit must be one of: ${FITS.join(', ')}` };
+    }
+
+    if (format !== undefined && !FORMATS[format]) {
+        return { transform: null, error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` };
+    }
+
+    const q = quality === undefined ? DEFAULT_QUALITY : Number(quality);
+    if (!Number.isInteger(q) || q < 1 || q > 100) {
+        return { transform: null, error: 'quality must be an integer from 1 to 100.' };
+    }
+
+    return {
+        transform: {
+            width: width.value,
+            height: height.value,
+            fit: fit || 'cover',
+            format: format || 'jpeg',
+            quality: q,
+        },
+        error: null,
+    };
+}
+
+/**
+ * @param {Object} transform A transform from parseTransform()
+ * @returns {String} A name unique to the transform, i.e. "100x100-cover-q80.webp"
+ */
+function variantName(transform) {
+    const size = `${transform.width || 'auto'}x${transform.height || 'auto'}`;
+    return `${size}-${transform.fit}-q${transform.quality}.${transform.format}`;
+}
+
+/**
+ * @param {Object} image The image document
+ * @returns {String} The directory holding the image's variants
+ */
+function variantDir(image) {
+    // Legacy records keep their data in the document, and have no file key
+    const key = image.file?.key || `legacy-${image.image_id}`;
+    return path.join(CACHE_DIR, key);
+}
+
+/**
+ * Get a variant of an image, generating and caching it if needed
+ * @param {Object} image The image document the variant belongs to
+ * @param {Function} readOriginal Async function returning the original bytes as a Buffer
+ * @param {Object} transform A transform from parseTransform()
+ * @returns {Promise<{ file: String, contentType: String, size: Number }>} The cached variant
+ */
+async function getVariant(image, readOriginal, transform) {
+    const dir = variantDir(image);
+    const file = path.join(dir, variantName(transform));
+    const contentType = FORMATS[transform.format];
+
+    try {
+        const { size } = await fs.stat(file);
+        return { file, contentType, size };
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const output = await sharp(await readOriginal())
+        .rotate() // Apply EXIF orientation before resizing
+        .resize({
+            width: transform.width || undefined,
+            height: transform.height || undefined,
+            fit: transform.fit,
+            withoutEnlargement: true,
+        })
+        .toFormat(transform.format, { quality: transform.quality })
+        .toBuffer();
+
+    // Write through a temporary file, so a concurrent request never reads half a variant
+    await fs.mkdir(dir, { recursive: true });
+    const temp = `${file}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(temp, output);
+    await fs.rename(temp, file);
+
+    return { file, contentType, size: output.length };
+}
+
+/**
+ * Remove every cached variant of the given images
+ * @param {Object[]} images The deleted image documents
+ */
+async function purgeVariants(images) {
+    await Promise.all(images.map(image =>
+        fs.rm(variantDir(image), { recursive: true, force: true })
+    ));
+}
+
+module.exports = { parseTransform, getVariant, purgeVariants, variantName, FORMATS };
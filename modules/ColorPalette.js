@@ -0,0 +1,132 @@
+const AdvancedColorDetector = require('./AdvancedColorDetector');
+
+/**
+ * Dominant Color Palette Extraction
+ * Groups the pixels of an image into a small palette of dominant colors,
+ * and classifies each one with AdvancedColorDetector
+ * Works on raw RGB(A) pixel buffers, so it runs on both the backend and the app
+ */
+class ColorPalette {
+
+    // Bits kept per channel when bucketing pixels (3 bits = 512 buckets)
+    static BUCKET_BITS = 3;
+
+    // Bucket colors closer than this (RGB distance) are merged into one palette color
+    static MERGE_DISTANCE = 48;
+
+    /**
+     * Extract the dominant colors of an image
+     * @param {Uint8Array|Number[]} pixels - Raw pixel data, row by row
+     * @param {Number} channels - Values per pixel (3 for RGB, 4 for RGBA)
+     * @param {Object} options - { size: palette length, minCoverage: smallest coverage kept (0-1) }
+     * @returns {Object[]} Palette entries { rgb, coverage, primary, detailedColor, confidence }, most common first
+     */
+    static extract(pixels, channels = 3, { size = 5, minCoverage = 0.01 } = {}) {
+        const buckets = this.bucketPixels(pixels, channels);
+        const total = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+
+        if (total === 0) return [];
+
+        // Merge neighbouring buckets, starting from the most common
+        const merged = [];
+        for (const bucket of buckets.sort((a, b) => b.count - a.count)) {
+            const average = this.averageOf(bucket);
+            const match = merged.find(entry => this.distance(this.averageOf(entry), average) < this.MERGE_DISTANCE);
+
+            if (match) {
+                match.count += bucket.count;
+                match.r += bucket.r;
+                match.g += bucket.g;
+                match.b += bucket.b;
+            } else {
+                merged.push({ ...bucket });
+            }
+        }
+
+        return merged
+            .sort((a, b) => b.count - a.count)
+            .map(entry => ({ rgb: this.averageOf(entry), coverage: entry.count / total }))
+            .filter(entry => entry.coverage >= minCoverage)
+            .slice(0, size)
+            .map(entry => {
+                const detected = AdvancedColorDetector.detectColor(entry.rgb);
+                return {
+                    rgb: entry.rgb,
+                    coverage: Math.round(entry.coverage * 10000) / 10000,
+                    primary: detected.primary,
+                    detailedColor: detected.detailedColor,
+                    confidence: detected.confidence,
+                };
+            });
+    }
+
+    /**
+     * Sum the coverage of each color class in a palette
+     * @param {Object[]} palette - Entries from extract()
+     * @returns {Object[]} { primary, coverage } per color class, most common first
+     */
+    static colorClasses(palette) {
+        const totals = {};
+        for (const entry of palette) {
+            totals[entry.primary] = (totals[entry.primary] || 0) + entry.coverage;
+        }
+
+        return Object.entries(totals)
+            .map(([primary, coverage]) => ({ primary, coverage: Math.round(coverage * 10000) / 10000 }))
+            .sort((a, b) => b.coverage - a.coverage);
+    }
+
+    /**
+     * Count pixels into coarse color buckets, keeping channel sums for averaging
+     * Fully transparent pixels are skipped
+     */
+    static bucketPixels(pixels, channels) {
+        const shift = 8 - this.BUCKET_BITS;
+        const buckets = new Map();
+
+        for (let i = 0; i + 2 < pixels.length; i += channels) {
+            if (channels === 4 && pixels[i + 3] === 0) continue;
+
+            const r = pixels[i];
+            const g = pixels[i + 1];
+            const b = pixels[i + 2];
+            const key = ((r >> shift) << (this.BUCKET_BITS * 2)) | ((g >> shift) << this.BUCKET_BITS) | (b >> shift);
+
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                bucket = { count: 0, r: 0, g: 0, b: 0 };
+                buckets.set(key, bucket);
+            }
+
+            bucket.count++;
+            bucket.r += r;
+            bucket.g += g;
+            bucket.b += b;
+        }
+
+        return [...buckets.values()];
+    }
+
+    /**
+     * Average RGB color of a bucket
+     */
+    static averageOf(bucket) {
+        return [
+            Math.round(bucket.r / bucket.count),
+            Math.round(bucket.g / bucket.count),
+            Math.round(bucket.b / bucket.count),
+        ];
+    }
+
+    /**
+     * Euclidean distance between two RGB colors
+     */
+    static distance(a, b) {
+        return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorPalette;
+}
@@ -0,0 +1,405 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useEffect, useState } from 'react';
+import { ALBUMS_STORAGE_KEY } from '../app/config';
+import { apiFetch, getDeviceId } from './api';
+import { getRecords, updateRecord } from './galleryRepository';
+import { REMOTE_PREFIX, syncGallery } from './gallerySync';
+
+/**
+ * Named albums and free-form tags for gallery photos
+ * 		Albums are kept locally, and shared with the team through the backend's /albums routes.
+ * 		Only uploaded or synced photos can be shared; other members stay on this device.
+ * 		Teammates' albums can be viewed, but only the device that created an album can change or delete it.
+ *
+ * 		Conflicts:
+ * 			- Local changes are pushed before pulling, and the last change to an album wins
+ * 			- Deletes win: an album deleted on either side is removed from both
+ *
+ * 		State: { albums: { [id]: { id, name, photoIds, albumId, mine, dirty, revision } }, pendingDeletes }
+ * 			photoIds: gallery photo IDs (asset IDs, or remote photo IDs)
+ * 			albumId: the backend album_id, once it was created there
+ * 			mine: created by this device (false for teammates' albums)
+ * 			dirty: changed since it was last pushed
+ *
+ * 		Tags are kept in the gallery records, and saved on the backend for uploaded and synced photos.
+ */
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+let state = null; // Albums state, loaded on first use
+let saving = Promise.resolve(); // Chain of pending AsyncStorage writes
+let syncing = null; // The sync in progress, so concurrent calls share one
+const listeners = new Set();
+
+/**
+ * Load the albums from storage, once
+ * @returns {Promise<Object>} The albums state
+ */
+async function loadState() {
+	if (state) return state;
+
+	const stored = JSON.parse(await AsyncStorage.getItem(ALBUMS_STORAGE_KEY));
+	// Check again, in case another call loaded it while waiting
+	if (!state) {
+		state = { albums: {}, pendingDeletes: [], ...stored };
+	}
+	return state;
+}
+
+/**
+ * Persist the albums and notify subscribers
+ * Writes are chained so they reach storage in order
+ */
+function saveState() {
+	const snapshot = JSON.stringify(state);
+	saving = saving
+		.then(() => AsyncStorage.setItem(ALBUMS_STORAGE_KEY, snapshot))
+		.catch(error => console.error("Failed to save albums: ", error));
+
+	listeners.forEach(listener => listener(state));
+	return saving;
+}
+
+/**
+ * Get the backend image_id of a gallery photo
+ * @param {String} photoId The gallery photo ID
+ * @param {Object[]} records The gallery records
+ * @returns {Number|null} The image_id, or null if the photo was never uploaded
+ */
+function imageIdOf(photoId, records) {
+	if (photoId.startsWith(REMOTE_PREFIX)) return Number(photoId.slice(REMOTE_PREFIX.length));
+	return records.find(record => record.assetId === photoId)?.uploadId ?? null;
+}
+
+/**
+ * Get the gallery photo ID of a backend image
+ * @param {Number} imageId The backend image_id
+ * @param {Object[]} records The gallery records
+ * @returns {String} This device's asset if it uploaded the image, otherwise the remote photo's ID
+ */
+function photoIdOf(imageId, records) {
+	return records.find(record => record.uploadId === imageId)?.assetId ?? REMOTE_PREFIX + imageId;
+}
+
+/**
+ * Create or update an album on the backend
+ * @param {Object} album The local album
+ * @param {Object[]} records The gallery records
+ */
+async function pushAlbum(album, records) {
+	const body = JSON.stringify({
+		name: album.name,
+		image_ids: album.photoIds.map(photoId => imageIdOf(photoId, records)).filter(imageId => imageId !== null),
+	});
+
+	const response = album.albumId
+		? await apiFetch(`/album/${album.albumId}`, { method: 'PATCH', headers: JSON_HEADERS, body })
+		: await apiFetch('/albums', { method: 'POST', headers: JSON_HEADERS, body });
+
+	// Deleted by a teammate
+	if (response.status === 404 && album.albumId) {
+		delete state.albums[album.id];
+		return saveState();
+	}
+
+	// A teammate's album: drop the change, so the next pull restores it
+	if (response.status === 403) {
+		console.log(`Change to album "${album.name}" was refused: ${await response.text()}`);
+		if (state.albums[album.id]) state.albums[album.id] = { ...state.albums[album.id], mine: false, dirty: false };
+		return saveState();
+	}
+
+	if (!response.ok) {
+		throw new Error(`Saving album "${album.name}" failed (${response.status}): ${await response.text()}`);
+	}
+
+	const { album_id } = await response.json();
+	const current = state.albums[album.id];
+	if (!current) return;
+
+	// Still dirty if it changed during the request
+	state.albums[album.id] = { ...current, albumId: album_id, dirty: current.revision !== album.revision };
+	await saveState();
+}
+
+/**
+ * Send local album changes and deletions to the backend
+ * Changes that fail (i.e. while offline) stay dirty for the next sync
+ * @param {Object[]} records The gallery records
+ */
+async function pushChanges(records) {
+	for (const albumId of [...state.pendingDeletes]) {
+		const response = await apiFetch(`/album/${albumId}`, { method: 'DELETE' });
+
+		// 404: already deleted; 403: a teammate's album, which comes back on the pull
+		if (!response.ok && response.status !== 404 && response.status !== 403) {
+			throw new Error(`Delete of album ${albumId} failed (${response.status})`);
+		}
+
+		state.pendingDeletes = state.pendingDeletes.filter(id => id !== albumId);
+		await saveState();
+	}
+
+	for (const album of Object.values(state.albums).filter(album => album.dirty)) {
+		await pushAlbum(album, records);
+	}
+}
+
+/**
+ * Pull the team's albums from the backend
+ * @param {Object[]} records The gallery records
+ */
+async function pullAlbums(records) {
+	const response = await apiFetch('/albums');
+
+	if (!response.ok) {
+		throw new Error(`Album sync failed (${response.status}): ${await response.text()}`);
+	}
+
+	const { items } = await response.json();
+	const known = Object.values(state.albums);
+	const deviceId = await getDeviceId();
+
+	for (const item of items) {
+		if (state.pendingDeletes.includes(item.album_id)) continue;
+
+		const local = known.find(album => album.albumId === item.album_id);
+		// Changed while pulling; pushed on the next sync
+		if (local && state.albums[local.id]?.dirty) continue;
+
+		// Photos that aren't on the backend stay in the album
+		const localOnly = local ? local.photoIds.filter(photoId => imageIdOf(photoId, records) === null) : [];
+		const shared = item.image_ids.map(imageId => photoIdOf(imageId, records));
+
+		const id = local?.id ?? `album-${item.album_id}`;
+		state.albums[id] = {
+			id,
+			name: item.name,
+			photoIds: [...new Set([...localOnly, ...shared])],
+			albumId: item.album_id,
+			mine: item.owner === deviceId,
+			dirty: false,
+			revision: local?.revision ?? 0,
+		};
+	}
+
+	// Deleted on the backend by a teammate
+	known
+		.filter(album => album.albumId && !album.dirty && !items.some(item => item.album_id === album.albumId))
+		.forEach(album => delete state.albums[album.id]);
+
+	await saveState();
+}
+
+/**
+ * Run one album sync: push local changes, then pull the team's albums
+ * Concurrent calls share the sync in progress
+ * @returns {Promise<String|null>} The error, if the sync failed
+ */
+export function syncAlbums() {
+	if (!syncing) {
+		syncing = (async () => {
+			await loadState();
+
+			try {
+				const records = await getRecords();
+				await pushChanges(records);
+				await pullAlbums(records);
+				return null;
+			} catch (error) {
+				// Offline, or the backend is down: try again on the next sync
+				console.log(`Album sync failed: ${error.message}`);
+				return error.message;
+			}
+		})().finally(() => { syncing = null; });
+	}
+	return syncing;
+}
+
+/**
+ * Check whether this device may change or delete an album
+ * @param {Object} album The local album
+ * @returns {Boolean} Whether the album exists and isn't a teammate's (albums saved before ownership was kept count as ours)
+ */
+export function canChange(album) {
+	return !!album && album.mine !== false;
+}
+
+/**
+ * Change an album, and push the change to the backend
+ * Teammates' albums are left as they are
+ * @param {String} id The album to change
+ * @param {Function} change Given the album, returns the fields to change
+ */
+async function changeAlbum(id, change) {
+	await loadState();
+
+	const album = state.albums[id];
+	if (!canChange(album)) return;
+
+	state.albums[id] = { ...album, ...change(album), dirty: true, revision: album.revision + 1 };
+	await saveState();
+	syncAlbums();
+}
+
+/**
+ * Create an album
+ * @param {String} name The album's name
+ * @param {String[]} photoIds Gallery photos to put in it
+ * @returns {Promise<String>} The new album's ID
+ */
+export async function createAlbum(name, photoIds = []) {
+	await loadState();
+
+	const id = `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+	state.albums[id] = { id, name: name.trim(), photoIds: [...new Set(photoIds)], albumId: null, mine: true, dirty: true, revision: 0 };
+
+	await saveState();
+	syncAlbums();
+	return id;
+}
+
+/**
+ * Add photos to an album
+ * @param {String} id The album
+ * @param {String[]} photoIds Gallery photos to add
+ */
+export function addToAlbum(id, photoIds) {
+	return changeAlbum(id, album => ({ photoIds: [...new Set([...album.photoIds, ...photoIds])] }));
+}
+
+/**
+ * Take photos out of an album
+ * The photos themselves are kept
+ * @param {String} id The album
+ * @param {String[]} photoIds Gallery photos to remove
+ */
+export function removeFromAlbum(id, photoIds) {
+	return changeAlbum(id, album => ({ photoIds: album.photoIds.filter(photoId => !photoIds.includes(photoId)) }));
+}
+
+/**
+ * Rename an album
+ * @param {String} id The album
+ * @param {String} name The new name
+ */
+export function renameAlbum(id, name) {
+	return changeAlbum(id, () => ({ name: name.trim() }));
+}
+
+/**
+ * Delete an album, for the whole team
+ * The photos in it are kept; teammates' albums can't be deleted
+ * @param {String} id The album
+ */
+export async function deleteAlbum(id) {
+	await loadState();
+
+	const album = state.albums[id];
+	if (!canChange(album)) return;
+
+	delete state.albums[id];
+	if (album.albumId) state.pendingDeletes = [...state.pendingDeletes, album.albumId];
+
+	await saveState();
+	syncAlbums();
+}
+
+/**
+ * Clean up a list of tags: trimmed, without blanks or duplicates
+ * @param {String[]} tags The tags
+ * @returns {String[]} The clean tags
+ */
+export function normalizeTags(tags) {
+	return [...new Set(tags.map(tag => tag.trim()).filter(tag => tag.length > 0))];
+}
+
+/**
+ * Change the tags of photos
+ * @param {Object[]} photos Gallery photos
+ * @param {Function} change Given a photo's tags, returns its new tags
+ * @returns {Promise<Number>} The number of photos whose tags could not be saved on the backend
+ */
+async function changeTags(photos, change) {
+	const records = await getRecords();
+	let failed = 0;
+
+	for (const photo of photos) {
+		const record = photo.remote ? null : records.find(record => record.assetId === photo.id);
+		const tags = normalizeTags(change(photo.remote ? photo.tags || [] : record?.tags || []));
+
+		if (record) await updateRecord(record.assetId, { tags });
+
+		// Keep the backend's copy in line, so teammates see the tags
+		const imageId = photo.remote ? photo.imageId : record?.uploadId;
+		if (imageId === null || imageId === undefined) continue;
+
+		try {
+			const response = await apiFetch(`/image/${imageId}`, { method: 'PATCH', headers: JSON_HEADERS, body: JSON.stringify({ tags }) });
+			if (!response.ok) throw new Error(`${response.status}: ${await response.text()}`);
+		} catch (error) {
+			console.log(`Could not save the tags of image ${imageId}: ${error.message}`);
+			failed++;
+		}
+	}
+
+	// Synced photos get their new tags from the backend
+	if (photos.some(photo => photo.remote)) syncGallery();
+
+	return failed;
+}
+
+/**
+ * Add tags to photos
+ * @param {Object[]} photos Gallery photos
+ * @param {String[]} tags The tags to add
+ * @returns {Promise<Number>} The number of photos whose tags could not be saved on the backend
+ */
+export function tagPhotos(photos, tags) {
+	return changeTags(photos, current => [...current, ...tags]);
+}
+
+/**
+ * Remove tags from photos
+ * @param {Object[]} photos Gallery photos
+ * @param {String[]} tags The tags to remove
+ * @returns {Promise<Number>} The number of photos whose tags could not be saved on the backend
+ */
+export function untagPhotos(photos, tags) {
+	return changeTags(photos, current => current.filter(tag => !tags.includes(tag)));
+}
+
+/**
+ * Listen for changes to the albums
+ * @param {Function} listener Called with the albums state
+ * @returns {Function} Unsubscribes the listener
+ */
+export function subscribeAlbums(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
+
+/**
+ * @param {Object} current The albums state
+ * @returns {Object[]} The albums, by name
+ */
+function sortedAlbums(current) {
+	return Object.values(current.albums).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * React hook for the albums
+ * @returns {Object[]} Every album, by name: { id, name, photoIds, albumId, mine, dirty }
+ */
+export function useAlbums() {
+	const [albums, setAlbums] = useState([]);
+
+	useEffect(() => {
+		loadState()
+			.then(loaded => setAlbums(sortedAlbums(loaded)))
+			.catch(error => console.error("Failed to load albums: ", error));
+		return subscribeAlbums(updated => setAlbums(sortedAlbums(updated)));
+	}, []);
+
+	return albums;
+}
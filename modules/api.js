@@ -0,0 +1,125 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { API_KEY, AUTH_STORAGE_KEY, BASE_URL, DEVICE_ID_STORAGE_KEY, DEVICE_SECRET_STORAGE_KEY, TEAM, TEAM_KEY } from '../app/config';
+
+/**
+ * Client for the images backend
+ * 		Every request goes through apiFetch(), which attaches the device's
+ * 		bearer token, fetching a new one from POST /auth when needed.
+ */
+
+// The token request in progress, so concurrent calls share one
+let pendingToken = null;
+
+// Tokens carry the team, so each team's token is saved separately
+// (changing TEAM then requests a new token instead of reusing the old one)
+const TOKEN_STORAGE_KEY = TEAM ? `${AUTH_STORAGE_KEY}:${TEAM}` : AUTH_STORAGE_KEY;
+
+/**
+ * Get this install's device ID, creating it on first use
+ * @returns {Promise<String>} The device ID images are owned by
+ */
+export async function getDeviceId() {
+	let deviceId = await AsyncStorage.getItem(DEVICE_ID_STORAGE_KEY);
+
+	if (!deviceId) {
+		// Random ID, unique enough to tell devices apart
+		deviceId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+		await AsyncStorage.setItem(DEVICE_ID_STORAGE_KEY, deviceId);
+	}
+
+	return deviceId;
+}
+
+/**
+ * Request a new token from the backend and save it
+ * 		The backend hands out the device's secret on its first request,
+ * 		and only issues tokens for the device ID to requests that send it back.
+ * @returns {Promise<String>} The bearer token
+ */
+async function requestToken() {
+	const deviceSecret = await AsyncStorage.getItem(DEVICE_SECRET_STORAGE_KEY);
+	const response = await fetch(`${BASE_URL}/auth`, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json' },
+		body: JSON.stringify({
+			deviceId: await getDeviceId(),
+			deviceSecret: deviceSecret || undefined,
+			apiKey: API_KEY,
+			team: TEAM || undefined,
+			teamKey: TEAM ? TEAM_KEY : undefined,
+		}),
+	});
+
+	if (!response.ok) {
+		throw new Error(`Authentication failed (${response.status}): ${await response.text()}`);
+	}
+
+	const { token, deviceSecret: newSecret } = await response.json();
+	// Only sent when the device ID was registered
+	if (newSecret) await AsyncStorage.setItem(DEVICE_SECRET_STORAGE_KEY, newSecret);
+	await AsyncStorage.setItem(TOKEN_STORAGE_KEY, token);
+	return token;
+}
+
+/**
+ * Get the saved token, or a new one
+ * @param {Boolean} refresh Discard the saved token and request a new one
+ * @returns {Promise<String>} The bearer token
+ */
+export async function getToken(refresh = false) {
+	if (!refresh) {
+		const saved = await AsyncStorage.getItem(TOKEN_STORAGE_KEY);
+		if (saved) return saved;
+	}
+
+	if (!pendingToken) {
+		pendingToken = requestToken().finally(() => { pendingToken = null; });
+	}
+	return pendingToken;
+}
+
+/**
+ * Headers authenticating a request, i.e. for an <Image> source
+ * @returns {Promise<Object>} The Authorization header
+ */
+export async function authHeaders() {
+	return { Authorization: `Bearer ${await getToken()}` };
+}
+
+/**
+ * fetch() a backend route with the device's token
+ * Requests a new token and retries once if the saved one was rejected
+ * @param {String} path The route, i.e. "/images"
+ * @param {RequestInit} options The fetch options
+ * @returns {Promise<Response>} The response
+ */
+export async function apiFetch(path, options = {}) {
+	const send = async (token) => fetch(`${BASE_URL}${path}`, {
+		...options,
+		headers: { ...options.headers, Authorization: `Bearer ${token}` },
+	});
+
+	let response = await send(await getToken());
+
+	// The token expired, or the server's secret changed
+	if (response.status === 401) {
+		response = await send(await getToken(true));
+	}
+
+	return response;
+}
+
+/**
+ * Build the URL of an image on the backend
+ * @param {Number} imageId The backend image_id
+ * @param {Object} params Optional transform, i.e. { w: 100, h: 100, format: 'webp' }
+ * @returns {String} The image URL
+ */
+export function imageUrl(imageId, params = {}) {
+	const query = Object.entries(params)
+		.filter(([, value]) => value !== undefined && value !== null)
+		.map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+		.join('&');
+
+	return `${BASE_URL}/image/${imageId}${query ? `?${query}` : ''}`;
+}
@@ -0,0 +1,13 @@
+/**
+ * Format a video length or recording time for display
+ * @param {Number} seconds The duration in seconds
+ * @returns {String} i.e. "0:07", "12:34" or "1:02:03"
+ */
+export default function formatDuration(seconds) {
+	const total = Math.max(0, Math.round(seconds || 0));
+	const hours = Math.floor(total / 3600);
+	const minutes = Math.floor((total % 3600) / 60);
+	const secs = String(total % 60).padStart(2, '0');
+
+	return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
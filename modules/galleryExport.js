@@ -0,0 +1,188 @@
+import { Directory, File, Paths } from 'expo-file-system';
+import * as MediaLibrary from 'expo-media-library';
+import * as Sharing from 'expo-sharing';
+import JSZip from 'jszip';
+import { addRecords, getAssetIds, getRecords } from './galleryRepository';
+import { addToAppAlbum } from './reconcile';
+
+/**
+ * Export gallery photos to a ZIP, and import them back
+ * 		The archive holds the photos under photos/, and a manifest.json with each photo's
+ * 		gallery metadata, so an import restores the records along with the images.
+ *
+ * 		Manifest: { version, exportedAt, photos: [{ file, assetId, capturedAt, uploadId, color, tags, sequence, title }] }
+ * 			file: the photo's path in the archive
+ * 			assetId: the asset it was exported from (null for synced photos)
+ * 			uploadId: the backend image_id, if it was uploaded or synced
+ */
+
+export const EXPORT_VERSION = 1;
+
+const MANIFEST_NAME = 'manifest.json';
+const PHOTOS_FOLDER = 'photos';
+
+/**
+ * Get a file URI for a gallery photo, which sharing and reading require
+ * @param {Object} photo A gallery photo
+ * @returns {Promise<String>} The photo's file URI
+ */
+async function fileUriOf(photo) {
+	// Synced photos are already cached files
+	if (photo.remote) return photo.uri;
+
+	const asset = await MediaLibrary.getAssetInfoAsync(photo.id);
+	if (!asset) throw new Error(`Photo ${photo.id} no longer exists`);
+	return asset.localUri || asset.uri;
+}
+
+/**
+ * Get a clean working directory in the cache
+ * @param {String} name The directory's name
+ * @returns {Directory} The directory
+ */
+function cacheDirectory(name) {
+	const directory = new Directory(Paths.cache, name);
+	directory.create({ idempotent: true });
+	return directory;
+}
+
+/**
+ * Write bytes to a new file, replacing any old one
+ * @param {Directory} directory Where to write it
+ * @param {String} name The file's name
+ * @param {Uint8Array} bytes The contents
+ * @returns {File} The file
+ */
+function writeFile(directory, name, bytes) {
+	const file = new File(directory, name);
+	if (file.exists) file.delete();
+	file.create();
+	file.write(bytes);
+	return file;
+}
+
+/**
+ * Open the system share sheet for one photo or video
+ * @param {Object} photo A gallery photo
+ */
+export async function sharePhoto(photo) {
+	if (!(await Sharing.isAvailableAsync())) throw new Error('Sharing is not available on this device');
+
+	const isVideo = photo.mediaType === MediaLibrary.MediaType.video;
+	await Sharing.shareAsync(await fileUriOf(photo), {
+		mimeType: isVideo ? 'video/*' : 'image/*',
+		dialogTitle: isVideo ? 'Share video' : 'Share photo',
+	});
+}
+
+/**
+ * Export photos to a ZIP with a manifest, and open the system share sheet for it
+ * @param {Object[]} photos Gallery photos: local assets or synced photos
+ * @returns {Promise<Number>} The number of photos exported
+ */
+export async function exportPhotos(photos) {
+	if (!(await Sharing.isAvailableAsync())) throw new Error('Sharing is not available on this device');
+
+	const records = await getRecords();
+	const zip = new JSZip();
+	const manifest = { version: EXPORT_VERSION, exportedAt: new Date().toISOString(), photos: [] };
+
+	for (const [index, photo] of photos.entries()) {
+		const source = new File(await fileUriOf(photo));
+		// Numbered, so photos with the same file name don't overwrite each other
+		const file = `${PHOTOS_FOLDER}/${String(index + 1).padStart(4, '0')}-${source.name}`;
+		zip.file(file, await source.bytes());
+
+		const record = photo.remote ? null : records.find(record => record.assetId === photo.id);
+		manifest.photos.push({
+			file,
+			assetId: photo.remote ? null : photo.id,
+			capturedAt: record?.capturedAt ?? photo.creationTime ?? null,
+			uploadId: photo.remote ? photo.imageId : record?.uploadId ?? null,
+			// Synced photos only have the backend's color classes; they are analyzed again on import
+			color: record?.color ?? null,
+			tags: record?.tags ?? photo.tags ?? [],
+			sequence: record?.sequence ?? null,
+			title: photo.title ?? null,
+		});
+	}
+	zip.file(MANIFEST_NAME, JSON.stringify(manifest, null, 2));
+
+	const stamp = manifest.exportedAt.slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+	const archive = writeFile(cacheDirectory('exports'), `gallery-${stamp}.zip`, await zip.generateAsync({ type: 'uint8array' }));
+
+	await Sharing.shareAsync(archive.uri, {
+		mimeType: 'application/zip',
+		UTI: 'public.zip-archive',
+		dialogTitle: 'Export photos',
+	});
+
+	return photos.length;
+}
+
+/**
+ * Let the user pick an exported ZIP, and add its photos to the gallery
+ * 		Photos are saved to the MediaLibrary as new assets, with the manifest's metadata.
+ * 		Photos the gallery still lists (i.e. exported from this device) are skipped.
+ * @returns {Promise<{ imported: Number, skipped: Number }|null>} The result, or null if the user cancelled
+ */
+export async function importArchive() {
+	let picked;
+	try {
+		picked = await File.pickFileAsync(undefined, 'application/zip');
+	} catch (error) {
+		if (/cancel/i.test(error.message)) return null;
+		throw error;
+	}
+	const archive = Array.isArray(picked) ? picked[0] : picked;
+	if (!archive) return null;
+
+	const zip = await JSZip.loadAsync(await archive.bytes());
+	const manifestFile = zip.file(MANIFEST_NAME);
+	if (!manifestFile) throw new Error(`Not a gallery export: ${MANIFEST_NAME} is missing`);
+
+	const manifest = JSON.parse(await manifestFile.async('string'));
+	if (manifest.version !== EXPORT_VERSION) throw new Error(`Unsupported export version: ${manifest.version}`);
+
+	const known = await getAssetIds();
+	const directory = cacheDirectory('imports');
+	const added = [];
+	let skipped = 0;
+
+	for (const entry of manifest.photos || []) {
+		const photoFile = zip.file(entry.file);
+		if (!photoFile || (entry.assetId && known.includes(entry.assetId))) {
+			skipped++;
+			continue;
+		}
+
+		// MediaLibrary can only save from a file
+		const temporary = writeFile(directory, entry.file.split('/').pop(), await photoFile.async('uint8array'));
+		try {
+			const asset = await MediaLibrary.createAssetAsync(temporary.uri);
+
+			try {
+				await addToAppAlbum(asset);
+			} catch (error) {
+				console.log(`Could not add ${asset.id} to the album: ${error.message}`);
+			}
+
+			added.push({
+				assetId: asset.id,
+				capturedAt: entry.capturedAt ?? asset.creationTime,
+				uploadId: entry.uploadId ?? null,
+				color: entry.color ?? null,
+				tags: entry.tags ?? [],
+				sequence: entry.sequence ?? null,
+			});
+		} finally {
+			temporary.delete();
+		}
+	}
+
+	// Newest on top, like the rest of the gallery
+	added.sort((a, b) => (b.capturedAt || 0) - (a.capturedAt || 0));
+	await addRecords(added);
+
+	return { imported: added.length, skipped };
+}
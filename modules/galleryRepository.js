@@ -0,0 +1,192 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useEffect, useState } from 'react';
+import { GALLERY_STORAGE_KEY, UPLOAD_QUEUE_STORAGE_KEY } from '../app/config';
+
+/**
+ * The gallery's list of captured photos
+ * 		Every read and write of GALLERY_STORAGE_KEY goes through here.
+ * 		Writes are serialized, so a capture during a delete can't lose either change.
+ *
+ * 		Stored: { version, records }
+ * 		Record: { assetId, capturedAt, uploadId, color, tags, sequence }
+ * 			capturedAt: epoch milliseconds, or null if it is unknown (migrated records)
+ * 			uploadId: the backend image_id once uploaded
+ * 			color: color metadata, i.e. { palette, colors, center, target } (see photoColors.js)
+ * 			tags: free-form tags the user added
+ * 			sequence: the burst or interval run it was taken in, i.e. { id, kind: 'burst' | 'interval', index }
+ */
+
+export const SCHEMA_VERSION = 4;
+
+let records = null; // Records, newest first, loaded on first use
+let writes = Promise.resolve(); // Chain of pending changes
+const listeners = new Set();
+
+/**
+ * Build a record with every field set
+ * @param {Object} fields At least { assetId }
+ * @returns {Object} The record
+ */
+function toRecord(fields) {
+	return {
+		assetId: fields.assetId,
+		capturedAt: fields.capturedAt ?? null,
+		uploadId: fields.uploadId ?? null,
+		color: fields.color ?? null,
+		tags: fields.tags ?? [],
+		sequence: fields.sequence ?? null,
+	};
+}
+
+/**
+ * Upgrade stored data from an older schema
+ * 		Version 1 was a bare array of asset IDs, newest first; versions 2 and 3 lacked newer fields.
+ * @param {*} stored The parsed stored data
+ * @returns {Promise<Object[]>} The records
+ */
+async function migrate(stored) {
+	if (!stored) return [];
+	if (stored.version === SCHEMA_VERSION) return stored.records;
+
+	// Fill in the fields added since (tags in 3, sequence in 4)
+	if (stored.version === 2 || stored.version === 3) {
+		console.log(`Migrating ${stored.records.length} gallery photos to schema version ${SCHEMA_VERSION}`);
+		return stored.records.map(toRecord);
+	}
+
+	if (Array.isArray(stored)) {
+		// Uploads finished before the upload ID was kept with the record
+		const uploads = JSON.parse(await AsyncStorage.getItem(UPLOAD_QUEUE_STORAGE_KEY)) || {};
+
+		console.log(`Migrating ${stored.length} gallery photos to schema version ${SCHEMA_VERSION}`);
+		return stored.map(assetId => toRecord({ assetId, uploadId: uploads[assetId]?.imageId }));
+	}
+
+	throw new Error(`Unknown gallery schema version: ${stored.version}`);
+}
+
+/**
+ * Load the records from storage, once
+ * @returns {Promise<Object[]>} The records
+ */
+async function loadRecords() {
+	if (records) return records;
+
+	const stored = JSON.parse(await AsyncStorage.getItem(GALLERY_STORAGE_KEY));
+	const loaded = await migrate(stored);
+
+	// Check again, in case another call loaded it while waiting
+	if (!records) {
+		records = loaded;
+		// Save migrated data in the new schema
+		if (stored && stored.version !== SCHEMA_VERSION) {
+			await AsyncStorage.setItem(GALLERY_STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, records }));
+		}
+	}
+	return records;
+}
+
+/**
+ * Change the records
+ * Changes run one at a time, each on the result of the last, then are saved and sent to subscribers
+ * @param {Function} change Given the records, returns the new records
+ * @returns {Promise<Object[]>} The new records
+ */
+function update(change) {
+	const result = writes.then(async () => {
+		const next = change(await loadRecords());
+		if (next === records) return records;
+
+		records = next;
+		await AsyncStorage.setItem(GALLERY_STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, records }));
+
+		listeners.forEach(listener => listener(records));
+		return records;
+	});
+
+	// Keep the chain going after a failed change
+	writes = result.catch(error => console.error("Failed to save gallery: ", error));
+	return result;
+}
+
+/**
+ * @returns {Promise<Object[]>} Every record, newest first
+ */
+export async function getRecords() {
+	// Wait for pending changes, so callers see their own writes
+	await writes;
+	return loadRecords();
+}
+
+/**
+ * @returns {Promise<String[]>} Every asset ID, newest first
+ */
+export async function getAssetIds() {
+	return (await getRecords()).map(record => record.assetId);
+}
+
+/**
+ * Add photos to the top of the gallery
+ * Photos that are already listed are skipped
+ * @param {Object[]} fields Records to add, newest first: { assetId, capturedAt, uploadId, color, tags, sequence }
+ */
+export function addRecords(fields) {
+	return update(current => {
+		const added = fields
+			.filter(field => !current.some(record => record.assetId === field.assetId))
+			.map(toRecord);
+
+		return added.length > 0 ? [...added, ...current] : current;
+	});
+}
+
+/**
+ * Remove photos from the gallery
+ * The media assets are not touched
+ * @param {String[]} assetIds The photos to remove
+ */
+export function removeRecords(assetIds) {
+	return update(current => {
+		const kept = current.filter(record => !assetIds.includes(record.assetId));
+		return kept.length === current.length ? current : kept;
+	});
+}
+
+/**
+ * Change the fields of one photo
+ * @param {String} assetId The photo to change
+ * @param {Object} changes The fields to change
+ */
+export function updateRecord(assetId, changes) {
+	return update(current => {
+		if (!current.some(record => record.assetId === assetId)) return current;
+		return current.map(record => (record.assetId === assetId ? { ...record, ...changes } : record));
+	});
+}
+
+/**
+ * Listen for changes to the records
+ * @param {Function} listener Called with the records
+ * @returns {Function} Unsubscribes the listener
+ */
+export function subscribeGallery(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
+
+/**
+ * React hook for the gallery's records
+ * @returns {Object[]} Every record, newest first
+ */
+export function useGallery() {
+	const [current, setCurrent] = useState([]);
+
+	useEffect(() => {
+		getRecords()
+			.then(setCurrent)
+			.catch(error => console.error("Failed to load gallery: ", error));
+		return subscribeGallery(setCurrent);
+	}, []);
+
+	return current;
+}
@@ -0,0 +1,362 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Directory, File, Paths } from 'expo-file-system';
+import { useEffect, useState } from 'react';
+import { AppState } from 'react-native';
+import { SYNC_STORAGE_KEY } from '../app/config';
+import { apiFetch, authHeaders, imageUrl } from './api';
+import { getRecords, removeRecords } from './galleryRepository';
+import { UPLOAD_STATUS, getUploadStates, removeUploads } from './uploadQueue';
+
+/**
+ * Two-way sync between the gallery and the backend
+ * 		Pulls images uploaded by teammates from GET /images/changes into a local cache,
+ * 		and pushes deletions of uploaded photos to the backend.
+ *
+ * 		Conflicts:
+ * 			- Deletes win: an image deleted on either side is never re-added
+ * 			- This device's own uploads stay local photos and are not downloaded again
+ * 			- An image edited remotely is only downloaded again if its file changed
+ *
+ * 		State: { since, remote: { [imageId]: { imageId, fileKey, uri, createdAt, title, owner, colors, tags, error } }, pendingDeletes }
+ */
+
+// Gallery IDs of remote photos start with this, so they never clash with asset IDs
+export const REMOTE_PREFIX = 'remote:';
+
+const SYNC_INTERVAL = 2 * 60 * 1000; // Milliseconds between syncs while the app is open
+
+// File extension for each image type the backend stores
+const EXTENSIONS = { 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif', 'image/heic': 'heic' };
+
+let state = null; // Sync state, loaded on first use
+let saving = Promise.resolve(); // Chain of pending AsyncStorage writes
+let syncing = null; // The sync in progress, so concurrent calls share one
+const listeners = new Set();
+
+/**
+ * Load the sync state from storage, once
+ * @returns {Promise<Object>} The sync state
+ */
+async function loadState() {
+	if (state) return state;
+
+	const stored = JSON.parse(await AsyncStorage.getItem(SYNC_STORAGE_KEY));
+	// Check again, in case another call loaded it while waiting
+	if (!state) {
+		state = { since: null, remote: {}, pendingDeletes: [], ...stored };
+	}
+	return state;
+}
+
+/**
+ * Persist the sync state and notify subscribers
+ * Writes are chained so they reach storage in order
+ */
+function saveState() {
+	const snapshot = JSON.stringify(state);
+	saving = saving
+		.then(() => AsyncStorage.setItem(SYNC_STORAGE_KEY, snapshot))
+		.catch(error => console.error("Failed to save sync state: ", error));
+
+	listeners.forEach(listener => listener(state));
+	return saving;
+}
+
+/**
+ * @returns {Directory} Where downloaded remote images are cached
+ */
+function cacheDirectory() {
+	const directory = new Directory(Paths.document, 'remote');
+	directory.create({ idempotent: true });
+	return directory;
+}
+
+/**
+ * Delete the cached copy of a remote image
+ * @param {Object} entry The remote entry
+ */
+function deleteCached(entry) {
+	if (!entry?.uri) return;
+
+	try {
+		const file = new File(entry.uri);
+		if (file.exists) file.delete();
+	} catch (error) {
+		console.warn(`Could not delete cached image ${entry.imageId}: ${error.message}`);
+	}
+}
+
+/**
+ * Download a remote image into the cache
+ * @param {Object} entry The remote entry
+ * @param {String} contentType The image's MIME type
+ * @returns {Promise<String>} The local URI
+ */
+async function download(entry, contentType) {
+	const extension = EXTENSIONS[contentType] || 'jpg';
+	const destination = new File(cacheDirectory(), `${entry.imageId}-${entry.fileKey || 'legacy'}.${extension}`);
+
+	const file = await File.downloadFileAsync(imageUrl(entry.imageId), destination, {
+		headers: await authHeaders(),
+		idempotent: true,
+	});
+	return file.uri;
+}
+
+/**
+ * Send queued deletions to the backend
+ * Deletions that fail (i.e. while offline) stay queued for the next sync
+ */
+async function pushDeletes() {
+	for (const imageId of [...state.pendingDeletes]) {
+		const response = await apiFetch(`/image/${imageId}`, { method: 'DELETE' });
+
+		// A teammate's image, which only its owner can delete: sync everything again, so it comes back
+		if (response.status === 403) {
+			console.log(`Delete of image ${imageId} was refused: ${await response.text()}`);
+			state.since = null;
+		}
+		// 404: already deleted, or not ours to delete
+		else if (!response.ok && response.status !== 404) {
+			throw new Error(`Delete of image ${imageId} failed (${response.status})`);
+		}
+
+		state.pendingDeletes = state.pendingDeletes.filter(id => id !== imageId);
+		await saveState();
+	}
+}
+
+/**
+ * Remove local photos whose uploads were deleted on the backend
+ * The media assets themselves are kept; they just leave the app's gallery
+ * @param {Number[]} imageIds The deleted backend image_ids
+ * @param {Object} uploads Upload entries by asset ID
+ * @returns {Promise<String[]>} The removed asset IDs
+ */
+async function removeLocalCopies(imageIds, uploads) {
+	const assetIds = Object.values(uploads)
+		.filter(entry => entry.imageId !== null && imageIds.includes(entry.imageId))
+		.map(entry => entry.assetId);
+
+	if (assetIds.length === 0) return [];
+
+	await removeRecords(assetIds);
+	await removeUploads(assetIds);
+
+	return assetIds;
+}
+
+/**
+ * Pull changes from the backend and apply them
+ * @returns {Promise<String[]>} Asset IDs removed from the gallery by remote deletions
+ */
+async function pullChanges() {
+	const query = state.since ? `?since=${encodeURIComponent(state.since)}` : '';
+	const response = await apiFetch(`/images/changes${query}`);
+
+	if (!response.ok) {
+		throw new Error(`Sync failed (${response.status}): ${await response.text()}`);
+	}
+
+	const { items, deleted, until } = await response.json();
+	const uploads = await getUploadStates();
+
+	// This device's uploads, and imported copies of backend images, are already in the gallery as local photos
+	const uploadedIds = [
+		...Object.values(uploads)
+			.filter(entry => entry.status === UPLOAD_STATUS.UPLOADED)
+			.map(entry => entry.imageId),
+		...(await getRecords())
+			.map(record => record.uploadId)
+			.filter(imageId => imageId !== null),
+	];
+
+	for (const item of items) {
+		// Deleted here while the change was in flight
+		if (state.pendingDeletes.includes(item.image_id) || uploadedIds.includes(item.image_id)) continue;
+
+		const existing = state.remote[item.image_id];
+		const fileKey = item.file?.key || null;
+		const fileChanged = existing && existing.fileKey !== fileKey;
+		if (fileChanged) deleteCached(existing);
+
+		state.remote[item.image_id] = {
+			imageId: item.image_id,
+			fileKey,
+			contentType: item.file?.contentType || null,
+			uri: fileChanged ? null : existing?.uri || null,
+			createdAt: item.created_at,
+			title: item.title || null,
+			owner: item.owner,
+			// Color classes the backend found when it was uploaded
+			colors: item.colors || [],
+			tags: item.tags || [],
+			error: null,
+		};
+	}
+
+	// Deleted on the backend, by this device or another
+	deleted.forEach(imageId => {
+		deleteCached(state.remote[imageId]);
+		delete state.remote[imageId];
+	});
+	const removedAssetIds = await removeLocalCopies(deleted, uploads);
+
+	// Uploads that finished after an earlier sync downloaded them
+	uploadedIds.forEach(imageId => {
+		if (!state.remote[imageId]) return;
+		deleteCached(state.remote[imageId]);
+		delete state.remote[imageId];
+	});
+
+	state.since = until;
+	await saveState();
+
+	return removedAssetIds;
+}
+
+/**
+ * Download every remote image not cached yet, including ones that failed before
+ */
+async function downloadMissing() {
+	for (const entry of Object.values(state.remote).filter(entry => !entry.uri)) {
+		try {
+			const uri = await download(entry, entry.contentType);
+
+			// Deleted while downloading
+			if (!state.remote[entry.imageId]) {
+				deleteCached({ ...entry, uri });
+				continue;
+			}
+
+			state.remote[entry.imageId] = { ...state.remote[entry.imageId], uri, error: null };
+		} catch (error) {
+			console.log(`Download of image ${entry.imageId} failed: ${error.message}`);
+			if (state.remote[entry.imageId]) state.remote[entry.imageId].error = error.message;
+		}
+		await saveState();
+	}
+}
+
+/**
+ * Run one sync: push deletions, pull changes, then download new images
+ * Concurrent calls share the sync in progress
+ * @returns {Promise<{ removedAssetIds: String[], error: String|null }>} Asset IDs removed by remote deletions, and any error
+ */
+export function syncGallery() {
+	if (!syncing) {
+		syncing = (async () => {
+			await loadState();
+
+			try {
+				await pushDeletes();
+				const removedAssetIds = await pullChanges();
+				await downloadMissing();
+
+				return { removedAssetIds, error: null };
+			} catch (error) {
+				// Offline, or the backend is down: try again on the next sync
+				console.log(`Gallery sync failed: ${error.message}`);
+				return { removedAssetIds: [], error: error.message };
+			}
+		})().finally(() => { syncing = null; });
+	}
+	return syncing;
+}
+
+/**
+ * Delete images from the backend, i.e. when their photos are deleted locally
+ * Queued until the backend confirms, so deletions made offline are not lost
+ * @param {Number[]} imageIds The backend image_ids to delete
+ */
+export async function queueRemoteDeletes(imageIds) {
+	await loadState();
+
+	const toQueue = imageIds.filter(imageId => imageId !== null && imageId !== undefined && !state.pendingDeletes.includes(imageId));
+	if (toQueue.length === 0) return;
+
+	toQueue.forEach(imageId => {
+		deleteCached(state.remote[imageId]);
+		delete state.remote[imageId];
+	});
+	state.pendingDeletes = [...state.pendingDeletes, ...toQueue];
+
+	await saveState();
+	syncGallery();
+}
+
+/**
+ * Build the gallery entries for the downloaded remote images
+ * @param {Object} remote Remote entries by image_id
+ * @returns {Object[]} Photos, shaped like MediaLibrary assets: { id, uri, creationTime, remote, imageId, title, owner, colors, tags }
+ */
+function remotePhotos(remote) {
+	return Object.values(remote)
+		.filter(entry => entry.uri)
+		.map(entry => ({
+			id: REMOTE_PREFIX + entry.imageId,
+			uri: entry.uri,
+			creationTime: new Date(entry.createdAt).getTime(),
+			remote: true,
+			imageId: entry.imageId,
+			title: entry.title,
+			owner: entry.owner,
+			colors: entry.colors || [],
+			tags: entry.tags || [],
+		}));
+}
+
+/**
+ * Merge remote photos into the local ones, newest first
+ * @param {Object[]} localPhotos MediaLibrary assets
+ * @param {Object[]} remote Remote photos, from useRemotePhotos()
+ * @returns {Object[]} Every photo
+ */
+export function mergeRemotePhotos(localPhotos, remote) {
+	return [...localPhotos, ...remote].sort((a, b) => (b.creationTime || 0) - (a.creationTime || 0));
+}
+
+/**
+ * Listen for changes to the sync state
+ * @param {Function} listener Called with the sync state
+ * @returns {Function} Unsubscribes the listener
+ */
+export function subscribeSync(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
+
+/**
+ * Sync now, whenever the app returns to the foreground, and periodically while it is open
+ * @returns {Function} Stops syncing
+ */
+export function startGallerySync() {
+	syncGallery();
+
+	const interval = setInterval(syncGallery, SYNC_INTERVAL);
+	const subscription = AppState.addEventListener('change', appState => {
+		if (appState === 'active') syncGallery();
+	});
+
+	return () => {
+		clearInterval(interval);
+		subscription.remove();
+	};
+}
+
+/**
+ * React hook for the downloaded remote photos
+ * @returns {Object[]} Remote photos, shaped like MediaLibrary assets
+ */
+export function useRemotePhotos() {
+	const [photos, setPhotos] = useState([]);
+
+	useEffect(() => {
+		loadState()
+			.then(loaded => setPhotos(remotePhotos(loaded.remote)))
+			.catch(error => console.error("Failed to load sync state: ", error));
+		return subscribeSync(updated => setPhotos(remotePhotos(updated.remote)));
+	}, []);
+
+	return photos;
+}
@@ -0,0 +1,301 @@
+import { AlphaType, ColorType, Skia } from '@shopify/react-native-skia';
+import { File } from 'expo-file-system';
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import * as MediaLibrary from 'expo-media-library';
+import AdvancedColorDetector from './AdvancedColorDetector';
+import ColorPalette from './ColorPalette';
+import { getRecords, updateRecord } from './galleryRepository';
+
+/**
+ * On-device color analysis of gallery photos
+ * 		Photos are decoded with Skia, downscaled, and reduced to a palette with ColorPalette,
+ * 		the same way the backend analyzes uploads. Results are kept in the gallery record,
+ * 		so each photo is only analyzed once.
+ * 		Single points can also be sampled at full size, i.e. when tapped in the viewer.
+ *
+ * 		Color metadata: { palette, colors, center, target }
+ * 			palette: ColorPalette entries, most common first
+ * 			colors: the palette's color classes, most common first
+ * 			center: the average color around the center of the photo, classified: { rgb, primary, detailedColor, confidence }
+ * 			target: the Tracking screen's color when the photo was captured, classified the same way (null if unknown)
+ */
+
+// Color classes AdvancedColorDetector.detectColor assigns (simplified 'COLOR' format)
+export const COLOR_CLASSES = ['RED', 'ORANGE', 'YELLOW', 'GREEN', 'CYAN', 'BLUE', 'PURPLE', 'WHITE', 'GRAY', 'BLACK'];
+
+// Longest side photos are scaled down to before analysis, keeping their aspect ratio like the backend
+const ANALYSIS_SIZE = 64;
+// Radius of the center spot, in analysis pixels (about 7% of the longest side across)
+const CENTER_SPOT_RADIUS = 2;
+// Width and height of the square around the center spot, in analysis pixels
+const CENTER_SPOT_SIZE = CENTER_SPOT_RADIUS * 2 + 1;
+
+let analyzing = false; // Whether analyzeMissingColors() is working through the gallery
+const capturing = new Set(); // New captures analyzeCapture() is working on, which analyzeMissingColors() leaves alone
+let sampled = { uri: null, image: null }; // The last photo decoded for sampling, at full size
+
+/**
+ * Get the scale an image is decoded at for analysis, the same as the backend's sharp fit: 'inside' resize
+ * @param {Number} width Width of the image
+ * @param {Number} height Height of the image
+ * @param {Number} size The longest side to scale down to
+ * @returns {Number} The scale, never above 1
+ */
+function analysisScale(width, height, size = ANALYSIS_SIZE) {
+	return Math.min(1, size / Math.max(width, height));
+}
+
+/**
+ * Decode an image into a small grid of RGBA pixels, keeping its aspect ratio
+ * @param {String} uri A local image URI
+ * @param {Number} size The longest side to scale down to
+ * @returns {Promise<{ pixels: Uint8Array, width: Number, height: Number }>} RGBA pixels, row by row, and the size of the grid
+ */
+export async function decodePixels(uri, size = ANALYSIS_SIZE) {
+	const data = await Skia.Data.fromURI(uri);
+	const image = Skia.Image.MakeImageFromEncoded(data);
+	if (!image) throw new Error(`Could not decode ${uri}`);
+
+	const scale = analysisScale(image.width(), image.height(), size);
+	const width = Math.max(1, Math.round(image.width() * scale));
+	const height = Math.max(1, Math.round(image.height() * scale));
+
+	// Draw the whole image into a width x height raster surface
+	const surface = Skia.Surface.Make(width, height);
+	surface.getCanvas().drawImageRect(
+		image,
+		Skia.XYWHRect(0, 0, image.width(), image.height()),
+		Skia.XYWHRect(0, 0, width, height),
+		Skia.Paint()
+	);
+	surface.flush();
+
+	const pixels = surface.makeImageSnapshot().readPixels();
+	if (!pixels) throw new Error(`Could not read the pixels of ${uri}`);
+	return { pixels, width, height };
+}
+
+/**
+ * Average the colors of RGBA pixels inside a circle
+ * @param {Uint8Array} pixels RGBA pixels, row by row
+ * @param {Number} width Width of the pixel grid
+ * @param {Number} height Height of the pixel grid
+ * @param {Number} centerX Center of the circle, in the grid
+ * @param {Number} centerY Center of the circle, in the grid
+ * @param {Number} radius Radius of the circle
+ * @returns {Number[]} The average [r, g, b]
+ */
+function averageCircle(pixels, width, height, centerX, centerY, radius) {
+	let totalR = 0;
+	let totalG = 0;
+	let totalB = 0;
+	let sampleCount = 0;
+
+	for (let dy = -radius; dy <= radius; dy++) {
+		for (let dx = -radius; dx <= radius; dx++) {
+			// Within the circle, and the grid
+			if (dx * dx + dy * dy > radius * radius) continue;
+
+			const px = centerX + dx;
+			const py = centerY + dy;
+			if (px < 0 || px >= width || py < 0 || py >= height) continue;
+
+			const i = (py * width + px) * 4;
+			totalR += pixels[i];
+			totalG += pixels[i + 1];
+			totalB += pixels[i + 2];
+			sampleCount++;
+		}
+	}
+
+	if (sampleCount === 0) throw new Error('The point is outside the photo');
+	return [Math.round(totalR / sampleCount), Math.round(totalG / sampleCount), Math.round(totalB / sampleCount)];
+}
+
+/**
+ * Classify a color with AdvancedColorDetector, keeping what the gallery stores
+ * @param {Number[]} rgb The color
+ * @returns {{ rgb: Number[], primary: String, detailedColor: String, confidence: Number }} The classified color
+ */
+function classifyColor(rgb) {
+	const { primary, detailedColor, confidence } = AdvancedColorDetector.detectColor(rgb);
+	return { rgb, primary, detailedColor, confidence };
+}
+
+/**
+ * Decode a photo at full size for sampling, reusing the last one decoded
+ * @param {String} uri A local image URI
+ * @returns {Promise<import('@shopify/react-native-skia').SkImage>} The image
+ */
+async function decodeForSampling(uri) {
+	if (sampled.uri !== uri) {
+		const image = Skia.Image.MakeImageFromEncoded(await Skia.Data.fromURI(uri));
+		if (!image) throw new Error(`Could not decode ${uri}`);
+		sampled = { uri, image };
+	}
+	return sampled.image;
+}
+
+/**
+ * Get the pixel size of a photo, as sampled by samplePhotoColor()
+ * @param {String} uri A local image URI
+ * @returns {Promise<{ width: Number, height: Number }>} The size
+ */
+export async function samplingSize(uri) {
+	const image = await decodeForSampling(uri);
+	return { width: image.width(), height: image.height() };
+}
+
+/**
+ * Average the color of a photo inside a circle,
+ * the same way the Tracking screen samples a tapped camera frame
+ * @param {String} uri A local image URI
+ * @param {Number} x Center of the circle, in image pixels
+ * @param {Number} y Center of the circle, in image pixels
+ * @param {Number} radius Radius of the circle, in image pixels
+ * @returns {Promise<Number[]>} The average [r, g, b]
+ */
+export async function samplePhotoColor(uri, x, y, radius) {
+	const image = await decodeForSampling(uri);
+	const centerX = Math.round(x);
+	const centerY = Math.round(y);
+
+	// Only read the square around the circle, clipped to the image
+	const left = Math.max(0, centerX - radius);
+	const top = Math.max(0, centerY - radius);
+	const width = Math.min(image.width(), centerX + radius + 1) - left;
+	const height = Math.min(image.height(), centerY + radius + 1) - top;
+	if (width <= 0 || height <= 0) throw new Error('The point is outside the photo');
+
+	const pixels = image.readPixels(left, top, { width, height, colorType: ColorType.RGBA_8888, alphaType: AlphaType.Unpremul });
+	if (!pixels) throw new Error(`Could not read the pixels of ${uri}`);
+
+	return averageCircle(pixels, width, height, centerX - left, centerY - top, radius);
+}
+
+/**
+ * Classify the center spot of decoded analysis pixels
+ * @param {{ pixels: Uint8Array, width: Number, height: Number }} decoded The grid from decodePixels()
+ * @returns {Object} The classified center color: { rgb, primary, detailedColor, confidence }
+ */
+function centerOf({ pixels, width, height }) {
+	return classifyColor(averageCircle(pixels, width, height, Math.floor(width / 2), Math.floor(height / 2), CENTER_SPOT_RADIUS));
+}
+
+/**
+ * Find the color at the center of a camera still, i.e. for the Capture screen's center probe
+ * 		Only the center spot is cropped and scaled down, natively, so the JS thread never decodes the whole still.
+ * @param {import('expo').SharedRef<'image'>} picture A still from takePictureAsync({ pictureRef: true })
+ * @returns {Promise<Object>} The classified center color, the same spot centerOf() samples: { rgb, primary, detailedColor, confidence }
+ */
+export async function centerColor(picture) {
+	// The spot is square in analysis pixels, so in the still's too
+	const side = CENTER_SPOT_SIZE / analysisScale(picture.width, picture.height);
+	const width = Math.max(1, Math.min(picture.width, Math.round(side)));
+	const height = Math.max(1, Math.min(picture.height, Math.round(side)));
+
+	const spot = await ImageManipulator.manipulate(picture)
+		.crop({ originX: Math.floor((picture.width - width) / 2), originY: Math.floor((picture.height - height) / 2), width, height })
+		.resize({ width: CENTER_SPOT_SIZE, height: CENTER_SPOT_SIZE })
+		.renderAsync();
+
+	let saved = null;
+	try {
+		saved = await spot.saveAsync({ base64: true, format: SaveFormat.PNG });
+		const image = Skia.Image.MakeImageFromEncoded(Skia.Data.fromBase64(saved.base64));
+		const pixels = image?.readPixels(0, 0, { width: CENTER_SPOT_SIZE, height: CENTER_SPOT_SIZE, colorType: ColorType.RGBA_8888, alphaType: AlphaType.Unpremul });
+		if (!pixels) throw new Error('Could not read the center of the still');
+
+		return classifyColor(averageCircle(pixels, CENTER_SPOT_SIZE, CENTER_SPOT_SIZE, CENTER_SPOT_RADIUS, CENTER_SPOT_RADIUS, CENTER_SPOT_RADIUS));
+	} finally {
+		spot.release();
+		// Only the color is kept
+		try {
+			if (saved) new File(saved.uri).delete();
+		} catch {}
+	}
+}
+
+/**
+ * Find the dominant colors of a photo, and the color at its center
+ * @param {String} uri A local image URI
+ * @returns {Promise<{ palette: Object[], colors: String[], center: Object }>} The palette and its color classes (most common first), and the center spot
+ */
+export async function analyzePhoto(uri) {
+	const decoded = await decodePixels(uri);
+	const palette = ColorPalette.extract(decoded.pixels, 4);
+	const colors = ColorPalette.colorClasses(palette).map(entry => entry.primary);
+
+	return { palette, colors, center: centerOf(decoded) };
+}
+
+/**
+ * Analyze one gallery photo and save the result in its record
+ * @param {String} assetId The photo's asset
+ * @param {Number[]} target The Tracking screen's color when it was captured, if known
+ * @returns {Promise<Object|null>} The color metadata, or null if the asset is gone
+ */
+export async function analyzeRecord(assetId, target = null) {
+	const asset = await MediaLibrary.getAssetInfoAsync(assetId);
+	if (!asset) return null;
+
+	let color;
+	if (asset.mediaType === MediaLibrary.MediaType.video) {
+		// Videos aren't analyzed; they get an empty palette too, so they aren't retried
+		color = { palette: [], colors: [], center: null };
+	} else {
+		try {
+			color = await analyzePhoto(asset.localUri || asset.uri);
+		} catch (error) {
+			// Store an empty palette, so the photo isn't retried every time
+			console.log(`Could not analyze ${assetId}: ${error.message}`);
+			color = { palette: [], colors: [], center: null };
+		}
+	}
+
+	color.target = target ? classifyColor(target) : null;
+
+	await updateRecord(assetId, { color });
+	return color;
+}
+
+/**
+ * Analyze a new capture and save the result in its record, along with the Tracking screen's target
+ * 		Call it before the record is added: analyzeMissingColors() skips the capture until this is done,
+ * 		so it is analyzed once, and its target is never overwritten with null.
+ * @param {String} assetId The captured photo's asset
+ * @param {Promise<Number[]|null>} target The Tracking screen's color, once it is known
+ * @returns {Promise<Object|null>} The color metadata, or null if the asset is gone
+ */
+export async function analyzeCapture(assetId, target) {
+	capturing.add(assetId);
+	try {
+		return await analyzeRecord(assetId, await target);
+	} finally {
+		capturing.delete(assetId);
+	}
+}
+
+/**
+ * Analyze every gallery photo without color metadata, one at a time
+ * i.e. photos captured before colors were recorded
+ */
+export async function analyzeMissingColors() {
+	// Only one runner at a time
+	if (analyzing) return;
+	analyzing = true;
+
+	try {
+		const pending = (await getRecords()).filter(record => !record.color && !capturing.has(record.assetId));
+
+		for (const record of pending) {
+			try {
+				await analyzeRecord(record.assetId);
+			} catch (error) {
+				console.log(`Could not analyze ${record.assetId}: ${error.message}`);
+			}
+		}
+	} finally {
+		analyzing = false;
+	}
+}
@@ -0,0 +1,135 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as MediaLibrary from 'expo-media-library';
+import { ALBUM_IGNORED_STORAGE_KEY, APP_ALBUM_NAME } from '../app/config';
+import { addRecords, getAssetIds, removeRecords } from './galleryRepository';
+import { forgetTrashed } from './trash';
+import { removeUploads } from './uploadQueue';
+
+/**
+ * Keeps the gallery's records in line with the MediaLibrary
+ * 		Photos deleted outside the app (i.e. in the system gallery) are pruned,
+ * 		and photos in the app's album that the gallery doesn't list can be adopted.
+ */
+
+// Assets checked at the same time
+const CHECK_BATCH_SIZE = 24;
+// Album assets fetched per page
+const ALBUM_PAGE_SIZE = 100;
+
+/**
+ * Check whether an asset still exists
+ * @param {String} assetId The asset to check
+ * @returns {Promise<Boolean>} Whether the MediaLibrary still has it
+ */
+async function assetExists(assetId) {
+	try {
+		return !!(await MediaLibrary.getAssetInfoAsync(assetId));
+	} catch {
+		// Thrown for deleted assets on some devices
+		return false;
+	}
+}
+
+/**
+ * Get the app's album, if any photos were ever added to it
+ * @returns {Promise<MediaLibrary.Album|null>} The album
+ */
+async function getAppAlbum() {
+	return MediaLibrary.getAlbumAsync(APP_ALBUM_NAME);
+}
+
+/**
+ * Add a new capture to the app's album, creating the album on first use
+ * @param {MediaLibrary.Asset} asset The captured asset
+ */
+export async function addToAppAlbum(asset) {
+	const album = await getAppAlbum();
+
+	if (album) await MediaLibrary.addAssetsToAlbumAsync([asset], album, false);
+	else await MediaLibrary.createAlbumAsync(APP_ALBUM_NAME, asset, false);
+}
+
+/**
+ * Get every photo and video in the app's album
+ * @returns {Promise<MediaLibrary.Asset[]>} The album's photos and videos, or none if there is no album
+ */
+async function getAlbumPhotos() {
+	const album = await getAppAlbum();
+	if (!album) return [];
+
+	const photos = [];
+	let after;
+	let hasNextPage = true;
+
+	while (hasNextPage) {
+		const page = await MediaLibrary.getAssetsAsync({
+			album,
+			after,
+			first: ALBUM_PAGE_SIZE,
+			mediaType: [MediaLibrary.MediaType.photo, MediaLibrary.MediaType.video],
+		});
+
+		photos.push(...page.assets);
+		after = page.endCursor;
+		hasNextPage = page.hasNextPage;
+	}
+
+	return photos;
+}
+
+/**
+ * Find and prune missing assets, and find album photos the gallery doesn't list
+ * @returns {Promise<{ pruned: String[], untracked: MediaLibrary.Asset[] }>} The pruned asset IDs, and the photos that could be adopted
+ */
+export async function reconcileGallery() {
+	const allIds = await getAssetIds();
+
+	// Check every stored asset, a batch at a time
+	const pruned = [];
+	for (let i = 0; i < allIds.length; i += CHECK_BATCH_SIZE) {
+		const batch = allIds.slice(i, i + CHECK_BATCH_SIZE);
+		const exists = await Promise.all(batch.map(assetExists));
+		batch.forEach((assetId, index) => { if (!exists[index]) pruned.push(assetId); });
+	}
+
+	if (pruned.length > 0) {
+		await removeRecords(pruned);
+
+		// Nothing is left to upload, restore or delete
+		await removeUploads(pruned);
+		await forgetTrashed(pruned);
+	}
+
+	// Photos in the app's album the gallery lost track of (i.e. after reinstalling), minus those already declined
+	let untracked = [];
+	try {
+		const ignored = JSON.parse(await AsyncStorage.getItem(ALBUM_IGNORED_STORAGE_KEY)) || [];
+		untracked = (await getAlbumPhotos()).filter(asset => !allIds.includes(asset.id) && !ignored.includes(asset.id));
+	} catch (error) {
+		console.log(`Could not read the ${APP_ALBUM_NAME} album: ${error.message}`);
+	}
+
+	return { pruned, untracked };
+}
+
+/**
+ * Add album photos to the gallery
+ * @param {MediaLibrary.Asset[]} assets The photos to adopt
+ */
+export async function adoptPhotos(assets) {
+	// Newest on top, as if they were just captured
+	const adopted = [...assets]
+		.sort((a, b) => b.creationTime - a.creationTime)
+		.map(asset => ({ assetId: asset.id, capturedAt: asset.creationTime }));
+
+	await addRecords(adopted);
+}
+
+/**
+ * Stop offering to adopt album photos
+ * @param {MediaLibrary.Asset[]} assets The photos the user declined
+ */
+export async function ignorePhotos(assets) {
+	const ignored = JSON.parse(await AsyncStorage.getItem(ALBUM_IGNORED_STORAGE_KEY)) || [];
+	await AsyncStorage.setItem(ALBUM_IGNORED_STORAGE_KEY, JSON.stringify([...ignored, ...assets.map(asset => asset.id)]));
+}
@@ -103,6 +103,21 @@ export const getSelectedColor = context.createRunAsync(() => {
 	return selectedColor;
 })
 
+/**
+ * (JS-Thread ONLY) -- Get the selected color as a plain RGB array
+ * @returns {Promise<Number[]|null>} The selected color, or null if none is set
+ */
+export async function getSelectedRGB() {
+	const value = (await getSelectedColor()).value;
+
+	// Crosses threads as JSON (see tracking.jsx)
+	const rgb = typeof value === 'string' ? JSON.parse(value) : value;
+	if (!rgb || rgb.length < 3) return null;
+
+	const channels = [Number(rgb[0]), Number(rgb[1]), Number(rgb[2])];
+	return channels.every(channel => channel >= 0 && channel <= 255) ? channels : null;
+}
+
 /**
  * Update the selected color with the provided value
  * @param {import("color-convert").RGB} value An RGB color
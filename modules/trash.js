@@ -0,0 +1,191 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as MediaLibrary from 'expo-media-library';
+import { useEffect, useState } from 'react';
+import { TRASH_RETENTION_DAYS, TRASH_STORAGE_KEY } from '../app/config';
+import { removeRecords } from './galleryRepository';
+import { queueRemoteDeletes } from './gallerySync';
+import { getUploadStates, removeUploads } from './uploadQueue';
+
+/**
+ * Trash bin for gallery deletions
+ * 		Deleted photos are only hidden from the gallery until they are restored,
+ * 		deleted permanently, or purged TRASH_RETENTION_DAYS after being trashed.
+ *
+ * 		Entry: { id, uri, remote, imageId, trashedAt }
+ * 			id: the gallery photo ID (an asset ID, or a remote photo's ID)
+ * 			imageId: the backend image_id of a remote photo
+ */
+
+const DAY = 24 * 60 * 60 * 1000; // Milliseconds in a day
+
+let trash = null; // Entries by photo ID, loaded on first use
+let saving = Promise.resolve(); // Chain of pending AsyncStorage writes
+const listeners = new Set();
+
+/**
+ * Load the trash from storage, once
+ * @returns {Promise<Object>} Entries by photo ID
+ */
+async function loadTrash() {
+	if (trash) return trash;
+
+	const stored = JSON.parse(await AsyncStorage.getItem(TRASH_STORAGE_KEY));
+	// Check again, in case another call loaded it while waiting
+	if (!trash) trash = stored || {};
+	return trash;
+}
+
+/**
+ * Persist the trash and notify subscribers
+ * Writes are chained so they reach storage in order
+ */
+function saveTrash() {
+	const snapshot = JSON.stringify(trash);
+	saving = saving
+		.then(() => AsyncStorage.setItem(TRASH_STORAGE_KEY, snapshot))
+		.catch(error => console.error("Failed to save trash: ", error));
+
+	listeners.forEach(listener => listener({ ...trash }));
+	return saving;
+}
+
+/**
+ * Move photos to the trash
+ * @param {Object[]} photos Gallery photos: { id, uri, remote, imageId }
+ */
+export async function trashPhotos(photos) {
+	await loadTrash();
+
+	const trashedAt = Date.now();
+	photos.forEach(photo => {
+		trash[photo.id] = {
+			id: photo.id,
+			uri: photo.uri,
+			remote: !!photo.remote,
+			imageId: photo.remote ? photo.imageId : null,
+			trashedAt,
+		};
+	});
+
+	await saveTrash();
+}
+
+/**
+ * Take photos back out of the trash
+ * @param {String[]} ids The photos to restore
+ */
+export async function restorePhotos(ids) {
+	await loadTrash();
+	ids.forEach(id => delete trash[id]);
+	await saveTrash();
+}
+
+/**
+ * Drop photos from the trash without restoring or deleting them, i.e. once their assets are gone
+ * @param {String[]} ids The photos to forget
+ */
+export async function forgetTrashed(ids) {
+	await loadTrash();
+	if (!ids.some(id => trash[id])) return;
+
+	ids.forEach(id => delete trash[id]);
+	await saveTrash();
+}
+
+/**
+ * Delete trashed photos for good
+ * 		Local assets are deleted from the device, and uploaded or
+ * 		synced photos are deleted from the backend.
+ * @param {String[]} ids The photos to delete
+ * @returns {Promise<Number>} The number of photos deleted
+ */
+export async function deletePermanently(ids) {
+	await loadTrash();
+
+	const entries = ids.map(id => trash[id]).filter(Boolean);
+	if (entries.length === 0) return 0;
+
+	const assetIds = entries.filter(entry => !entry.remote).map(entry => entry.id);
+
+	// Read before removeUploads() forgets them
+	const uploads = await getUploadStates();
+	const uploadedImageIds = assetIds.map(assetId => uploads[assetId]?.imageId).filter(imageId => imageId != null);
+
+	if (assetIds.length > 0) {
+		// Delete the assets from the filesystem first: if the system prompt is declined,
+		// nothing has been queued for deletion on the backend yet
+		if (!await MediaLibrary.deleteAssetsAsync(assetIds)) {
+			throw new Error('The photos were not deleted');
+		}
+
+		// Remove them from the gallery
+		await removeRecords(assetIds);
+
+		// Stop tracking their uploads
+		await removeUploads(assetIds);
+	}
+
+	// Synced photos only exist on the backend; uploaded local photos are deleted from it too
+	await queueRemoteDeletes([...entries.filter(entry => entry.remote).map(entry => entry.imageId), ...uploadedImageIds]);
+
+	entries.forEach(entry => delete trash[entry.id]);
+	await saveTrash();
+
+	return entries.length;
+}
+
+/**
+ * Delete photos that have been in the trash longer than TRASH_RETENTION_DAYS
+ * @returns {Promise<Number>} The number of photos purged
+ */
+export async function purgeExpiredTrash() {
+	await loadTrash();
+
+	const cutoff = Date.now() - TRASH_RETENTION_DAYS * DAY;
+	const expired = Object.values(trash).filter(entry => entry.trashedAt <= cutoff).map(entry => entry.id);
+	if (expired.length === 0) return 0;
+
+	try {
+		return await deletePermanently(expired);
+	} catch (error) {
+		// i.e. the user declined the deletion prompt; try again next time
+		console.log(`Could not purge trash: ${error.message}`);
+		return 0;
+	}
+}
+
+/**
+ * Get how long until a trashed photo is purged
+ * @param {Object} entry The trash entry
+ * @returns {Number} Whole days left (0 if it is due)
+ */
+export function daysUntilPurge(entry) {
+	return Math.max(0, Math.ceil((entry.trashedAt + TRASH_RETENTION_DAYS * DAY - Date.now()) / DAY));
+}
+
+/**
+ * Listen for changes to the trash
+ * @param {Function} listener Called with the entries by photo ID
+ * @returns {Function} Unsubscribes the listener
+ */
+export function subscribeTrash(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
+
+/**
+ * React hook for the trashed photos
+ * @returns {Object} Entries by photo ID
+ */
+export function useTrash() {
+	const [entries, setEntries] = useState({});
+
+	useEffect(() => {
+		loadTrash()
+			.then(loaded => setEntries({ ...loaded }))
+			.catch(error => console.error("Failed to load trash: ", error));
+		return subscribeTrash(setEntries);
+	}, []);
+
+	return entries;
+}
@@ -0,0 +1,275 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as MediaLibrary from 'expo-media-library';
+import { useEffect, useState } from 'react';
+import { AppState } from 'react-native';
+import { UPLOAD_QUEUE_STORAGE_KEY } from '../app/config';
+import { apiFetch } from './api';
+import { getRecords, updateRecord } from './galleryRepository';
+
+/**
+ * Persistent queue of gallery uploads to POST /images
+ * 		Entries are kept in AsyncStorage, so uploads resume after the app restarts.
+ * 		Failed uploads (i.e. while offline) are retried with exponential backoff.
+ *
+ * 		Entry: { assetId, status, imageId, attempts, nextAttemptAt, error }
+ */
+
+export const UPLOAD_STATUS = Object.freeze({
+	QUEUED: 'queued', // Waiting for its (next) attempt
+	UPLOADING: 'uploading',
+	UPLOADED: 'uploaded', // imageId holds the backend image_id
+	FAILED: 'failed', // Gave up; queue it again to retry
+});
+
+const BASE_RETRY_DELAY = 5 * 1000; // Milliseconds before the first retry
+const MAX_RETRY_DELAY = 10 * 60 * 1000; // Longest wait between retries
+const MAX_ATTEMPTS = 8; // Attempts before an upload is marked failed
+
+// Responses that will not succeed if retried
+const PERMANENT_ERRORS = [400, 413, 415];
+
+let queue = null; // Entries by asset ID, loaded on first use
+let saving = Promise.resolve(); // Chain of pending AsyncStorage writes
+let running = false; // Whether processUploads() is working through the queue
+let retryTimer = null; // Timeout for the next due retry
+const listeners = new Set();
+
+/**
+ * Load the queue from storage, once
+ * @returns {Promise<Object>} Entries by asset ID
+ */
+async function loadQueue() {
+	if (queue) return queue;
+
+	const stored = JSON.parse(await AsyncStorage.getItem(UPLOAD_QUEUE_STORAGE_KEY));
+	// Check again, in case another call loaded it while waiting
+	if (!queue) {
+		queue = stored || {};
+
+		// Uploads interrupted by the app closing must start again
+		Object.values(queue).forEach(entry => {
+			if (entry.status === UPLOAD_STATUS.UPLOADING) entry.status = UPLOAD_STATUS.QUEUED;
+		});
+	}
+	return queue;
+}
+
+/**
+ * Persist the queue and notify subscribers
+ * Writes are chained so they reach storage in order
+ */
+function saveQueue() {
+	const snapshot = JSON.stringify(queue);
+	saving = saving
+		.then(() => AsyncStorage.setItem(UPLOAD_QUEUE_STORAGE_KEY, snapshot))
+		.catch(error => console.error("Failed to save upload queue: ", error));
+
+	listeners.forEach(listener => listener({ ...queue }));
+	return saving;
+}
+
+/**
+ * Update one entry
+ * @param {String} assetId The asset to update
+ * @param {Object} changes The fields to change
+ */
+function updateEntry(assetId, changes) {
+	queue[assetId] = { ...queue[assetId], ...changes };
+	return saveQueue();
+}
+
+/**
+ * Guess an image's MIME type from its filename
+ * @param {String} filename i.e. "IMG_001.jpg"
+ * @returns {String} The MIME type
+ */
+function mimeTypeOf(filename = '') {
+	const extension = filename.split('.').pop().toLowerCase();
+	const types = { png: 'image/png', webp: 'image/webp', heic: 'image/heic', gif: 'image/gif' };
+	return types[extension] || 'image/jpeg';
+}
+
+/**
+ * Upload a single asset
+ * @param {String} assetId The MediaLibrary asset to upload
+ * @returns {Promise<Number>} The backend image_id
+ */
+async function uploadAsset(assetId) {
+	const asset = await MediaLibrary.getAssetInfoAsync(assetId);
+	if (!asset) {
+		const error = new Error("Asset no longer exists");
+		error.permanent = true;
+		throw error;
+	}
+
+	const form = new FormData();
+	form.append('image', {
+		uri: asset.localUri || asset.uri,
+		name: asset.filename,
+		type: mimeTypeOf(asset.filename),
+	});
+
+	// Tags added before the upload
+	const record = (await getRecords()).find(record => record.assetId === assetId);
+	if (record?.tags?.length > 0) form.append('tags', JSON.stringify(record.tags));
+
+	const response = await apiFetch('/images', { method: 'POST', body: form });
+
+	if (!response.ok) {
+		const error = new Error(`Upload failed (${response.status}): ${await response.text()}`);
+		error.permanent = PERMANENT_ERRORS.includes(response.status);
+		throw error;
+	}
+
+	const { image_id } = await response.json();
+	return image_id;
+}
+
+/**
+ * Schedule processUploads() for when the next retry is due
+ */
+function scheduleRetry() {
+	clearTimeout(retryTimer);
+	retryTimer = null;
+
+	const waiting = Object.values(queue).filter(entry => entry.status === UPLOAD_STATUS.QUEUED);
+	if (waiting.length === 0) return;
+
+	const nextAttemptAt = Math.min(...waiting.map(entry => entry.nextAttemptAt || 0));
+	retryTimer = setTimeout(processUploads, Math.max(0, nextAttemptAt - Date.now()));
+}
+
+/**
+ * Upload every due entry, one at a time
+ * Never rejects, as it runs in the background: failures to read or save the queue are logged
+ */
+export async function processUploads() {
+	// Only one runner at a time
+	if (running) return;
+	running = true;
+
+	try {
+		await loadQueue();
+
+		let entry;
+		const isDue = e => e.status === UPLOAD_STATUS.QUEUED && (e.nextAttemptAt || 0) <= Date.now();
+
+		while ((entry = Object.values(queue).find(isDue))) {
+			const { assetId } = entry;
+			await updateEntry(assetId, { status: UPLOAD_STATUS.UPLOADING, error: null });
+
+			try {
+				const imageId = await uploadAsset(assetId);
+
+				// Removed from the queue while uploading
+				if (!queue[assetId]) continue;
+
+				await updateEntry(assetId, { status: UPLOAD_STATUS.UPLOADED, imageId, nextAttemptAt: null });
+				await updateRecord(assetId, { uploadId: imageId });
+			} catch (error) {
+				if (!queue[assetId]) continue;
+
+				const attempts = (queue[assetId].attempts || 0) + 1;
+				const giveUp = error.permanent || attempts >= MAX_ATTEMPTS;
+				// Network errors (offline) and server errors are retried with backoff
+				const delay = Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+
+				console.log(`Upload of ${assetId} failed (attempt ${attempts}): ${error.message}`);
+				await updateEntry(assetId, {
+					status: giveUp ? UPLOAD_STATUS.FAILED : UPLOAD_STATUS.QUEUED,
+					attempts,
+					nextAttemptAt: giveUp ? null : Date.now() + delay,
+					error: error.message,
+				});
+			}
+		}
+	} catch (error) {
+		// i.e. AsyncStorage failed; the queue is tried again on the next run
+		console.error("Failed to process the upload queue: ", error);
+	} finally {
+		running = false;
+		if (queue) scheduleRetry();
+	}
+}
+
+/**
+ * Add assets to the upload queue and start uploading
+ * Assets that are already uploaded or waiting are skipped; failed ones are retried
+ * @param {String[]} assetIds The assets to upload
+ * @returns {Promise<Number>} The number of assets queued
+ */
+export async function enqueueUploads(assetIds) {
+	await loadQueue();
+
+	const toQueue = assetIds.filter(assetId =>
+		!queue[assetId] || queue[assetId].status === UPLOAD_STATUS.FAILED
+	);
+
+	toQueue.forEach(assetId => {
+		queue[assetId] = { assetId, status: UPLOAD_STATUS.QUEUED, imageId: null, attempts: 0, nextAttemptAt: 0, error: null };
+	});
+
+	if (toQueue.length > 0) {
+		await saveQueue();
+		processUploads();
+	}
+
+	return toQueue.length;
+}
+
+/**
+ * Forget the upload state of assets, i.e. once they are deleted
+ * @param {String[]} assetIds The assets to remove
+ */
+export async function removeUploads(assetIds) {
+	await loadQueue();
+	assetIds.forEach(assetId => delete queue[assetId]);
+	await saveQueue();
+}
+
+/**
+ * @returns {Promise<Object>} Upload entries by asset ID
+ */
+export async function getUploadStates() {
+	return { ...(await loadQueue()) };
+}
+
+/**
+ * Listen for changes to the queue
+ * @param {Function} listener Called with the entries by asset ID
+ * @returns {Function} Unsubscribes the listener
+ */
+export function subscribeUploads(listener) {
+	listeners.add(listener);
+	return () => listeners.delete(listener);
+}
+
+/**
+ * Resume pending uploads now, and whenever the app returns to the foreground
+ * @returns {Function} Stops listening for the app returning to the foreground
+ */
+export function startUploadQueue() {
+	processUploads();
+
+	const subscription = AppState.addEventListener('change', state => {
+		if (state === 'active') processUploads();
+	});
+	return () => subscription.remove();
+}
+
+/**
+ * React hook for the upload state of every asset
+ * @returns {Object} Upload entries by asset ID
+ */
+export function useUploadStates() {
+	const [states, setStates] = useState({});
+
+	useEffect(() => {
+		getUploadStates()
+			.then(setStates)
+			.catch(error => console.error("Failed to load upload queue: ", error));
+		return subscribeUploads(setStates);
+	}, []);
+
+	return states;
+}